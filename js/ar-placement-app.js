@@ -0,0 +1,624 @@
+/*
+The 'immersive-ar' flow for placing glTF models on real world surfaces,
+packaged so a new experience only needs its configuration:
+
+  let app = new ARPlacementApp({
+    modelUrl: 'media/gltf/model.glb',
+    placementMode: 'floor',
+    onPlaced: (object) => { ... },
+  });
+  app.run();
+  startButton.addEventListener('click', () => app.start());
+
+The app finds surfaces with hit testing (falling back to the detected
+planes), shows a reticle on them and places a model where the user taps. Placed
+objects are anchored, persisted when an anchor store key is given, and can be
+selected, dragged, rotated and scaled with gestures through |placements| and
+|gestures|. Light estimation, depth sensing or occluders, plane visualization
+and coaching prompts are used when available and enabled.
+
+Options (all optional except modelUrl):
+  modelUrl             glTF model placed on each tap.
+  modelScale           Scale the model is placed at.
+  modelVariant         KHR_materials_variants variant the model is placed
+                       with, or null for its default materials.
+  reticleUrl           glTF model for the reticle.
+  maxObjects           How many objects can be placed at once.
+  footprintRadius      Objects aren't placed where a circle of this radius, in
+                       meters, would overhang the detected plane.
+  minScale, maxScale   Limits for pinch scaling.
+  placementInput       'tap' places under the finger, with the reticle as a
+                       fallback. 'reticle' always places on the reticle.
+  placementMode        'floor', 'wall', 'ceiling' or 'any'.
+  showPlanes           Draw the detected planes as an animated grid.
+  useOccluders         Hide content behind detected planes and meshes when
+                       there's no depth sensing.
+  anchorStoreKey       localStorage key used to persist placements, or null.
+  coaching             {element, messages, ...} for a CoachingOverlay, or null.
+  photoCapture         {watermark} for a PhotoCapture, or null. Adds
+                       'camera-access' to the optional features so
+                       capturePhoto() can include the camera image. Photos
+                       can only be taken once onPhotoAvailable(true) is
+                       called.
+  requiredFeatures, optionalFeatures, sessionInit
+                       Passed on to requestSession(), see WebXRSampleApp.
+
+Hooks:
+  onPlaced(object)             The user placed a new PlacedObject.
+  onPlacementRejected(reason)  A tap couldn't place an object, because the
+                               maximum was reached ('max-objects') or it
+                               wouldn't fit on the surface ('no-room').
+  onTrackingLost(lost)         Placed objects lost (true) or regained (false)
+                               tracking, while no coaching prompt is shown.
+  onPlacementUnavailable()     The session has neither 'hit-test' nor
+                               'plane-detection', so nothing can be placed.
+  onPhotoAvailable(available)  The session started (true) or stopped (false)
+                               giving the camera image capturePhoto() needs.
+  onReset()                    reset() removed every placed object.
+  onExit()                     exit() ended the session.
+*/
+
+import {WebXRSampleApp} from './webxr-sample-app.js';
+import {Renderer, createWebGLContext} from './render/core/renderer.js';
+import {Gltf2Node} from './render/nodes/gltf2.js';
+import {OccluderRenderer} from './render/nodes/occluder-renderer.js';
+import {PlaneRenderer} from './render/nodes/plane-renderer.js';
+import {mat4, quat, vec3} from './render/math/gl-matrix.js';
+import {hitTest, filterHitTestResults, distanceToPlaneEdge,
+        classifySurface, calculateWallMatrix} from './hit-test.js';
+import {AnchorStore} from './util/anchor-store.js';
+import {PlacementManager} from './placement-manager.js';
+import {GestureController} from './gesture-controller.js';
+import {CoachingOverlay} from './coaching-overlay.js';
+import {PhotoCapture} from './photo-capture.js';
+
+const DEFAULT_OPTIONS = {
+  modelUrl: null,
+  modelScale: 1,
+  modelVariant: null,
+  reticleUrl: 'media/gltf/reticle/reticle.gltf',
+  maxObjects: 5,
+  footprintRadius: 0.2,
+  minScale: 0.3,
+  maxScale: 3.0,
+  placementInput: 'tap',
+  placementMode: 'floor',
+  showPlanes: true,
+  useOccluders: true,
+  anchorStoreKey: null,
+  coaching: null,
+  photoCapture: null,
+  onPlaced: null,
+  onPlacementRejected: null,
+  onTrackingLost: null,
+  onPlacementUnavailable: null,
+  onPhotoAvailable: null,
+  onReset: null,
+  onExit: null,
+};
+
+export const DEFAULT_OPTIONAL_FEATURES = [
+  'hit-test', 'plane-detection', 'mesh-detection', 'dom-overlay',
+  'light-estimation', 'anchors', 'depth-sensing'
+];
+
+// Returns an XRRigidTransform with the position and orientation of |matrix|.
+function transformFromMatrix(matrix) {
+  let position = mat4.getTranslation(vec3.create(), matrix);
+  let orientation = mat4.getRotation(quat.create(), matrix);
+  return new XRRigidTransform(
+      {x: position[0], y: position[1], z: position[2]},
+      {x: orientation[0], y: orientation[1], z: orientation[2], w: orientation[3]});
+}
+
+export class ARPlacementApp extends WebXRSampleApp {
+  constructor(options = {}) {
+    let optionalFeatures = options.optionalFeatures || DEFAULT_OPTIONAL_FEATURES;
+    if (options.photoCapture && !optionalFeatures.includes('camera-access')) {
+      optionalFeatures = optionalFeatures.concat('camera-access');
+    }
+
+    super({
+      inline: false,
+      immersiveMode: 'immersive-ar',
+      referenceSpace: 'local',
+      defaultInputHandling: false,
+      requiredFeatures: options.requiredFeatures,
+      optionalFeatures: optionalFeatures,
+      sessionInit: Object.assign({
+        domOverlay: {root: document.body},
+        depthSensing: {
+          usagePreference: ['gpu-optimized', 'cpu-optimized'],
+          dataFormatPreference: ['luminance-alpha', 'float32'],
+        },
+      }, options.sessionInit),
+    });
+
+    for (let key in DEFAULT_OPTIONS) {
+      this.options[key] = key in options ? options[key] : DEFAULT_OPTIONS[key];
+    }
+
+    if (!this.options.modelUrl) {
+      throw new Error('ARPlacementApp requires a modelUrl');
+    }
+
+    // The camera feed is the background.
+    this.scene.clear = false;
+    this.scene.enableStats(false);
+
+    this.reticle = new Gltf2Node({url: this.options.reticleUrl});
+    this.reticle.visible = false;
+    this.scene.addNode(this.reticle);
+
+    this.planeRenderer = new PlaneRenderer();
+    if (this.options.showPlanes) {
+      this.scene.addNode(this.planeRenderer);
+    }
+
+    this.occluderRenderer = new OccluderRenderer();
+    this.scene.addNode(this.occluderRenderer);
+
+    this.placements = new PlacementManager(this.scene, {
+      maxObjects: this.options.maxObjects,
+      anchorStore: this.options.anchorStoreKey ? new AnchorStore(this.options.anchorStoreKey) : null,
+    });
+
+    this.gestures = new GestureController(this.placements, {
+      minScale: this.options.minScale,
+      maxScale: this.options.maxScale,
+    });
+
+    let coaching = this.options.coaching;
+    this.coaching = coaching ? new CoachingOverlay(coaching.element, coaching) : null;
+
+    let photoCapture = this.options.photoCapture;
+    this.photoCapture = photoCapture ? new PhotoCapture(photoCapture) : null;
+
+    this._viewerSpace = null;
+    this._hitTestSource = null;
+    this._transientHitTestSource = null;
+    // XRRigidTransform of the latest hit test for each touch on the screen,
+    // keyed by its transient XRInputSource.
+    this._transientHits = new Map();
+    // Pose of the latest reticle hit, used to place and anchor objects.
+    this._reticleTransform = null;
+    this._lightProbe = null;
+    // 'cpu-optimized' or 'gpu-optimized' when the session has 'depth-sensing'.
+    this._depthUsage = null;
+    this._trackingLost = false;
+    // Set once requesting the hit test source failed in this session.
+    this._hitTestUnavailable = false;
+    this._placementUnavailable = false;
+    // Whether the frames come with a camera image, see capturePhoto().
+    this._photoAvailable = false;
+    this._sessionRequest = null;
+  }
+
+  // Requests the AR session. Call it from a user gesture, such as the click
+  // handler of a start button.
+  start() {
+    if (this.session) {
+      return Promise.reject(new Error('An AR session is already active'));
+    }
+
+    if (!this._sessionRequest) {
+      this._sessionRequest = this.onRequestSession().finally(() => {
+        this._sessionRequest = null;
+      });
+    }
+    return this._sessionRequest;
+  }
+
+  // Removes every placed object, including their saved placements.
+  reset() {
+    this.placements.clear(true);
+    if (this.options.onReset) {
+      this.options.onReset();
+    }
+  }
+
+  // Returns a promise for a PNG Blob of the next frame, with the camera image
+  // behind the placed objects. The reticle and planes are left out.
+  capturePhoto() {
+    if (!this.photoCapture) {
+      return Promise.reject(new Error('Photo capture is disabled'));
+    }
+    if (!this._photoAvailable) {
+      return Promise.reject(new Error(`Photos need an AR session with 'camera-access'`));
+    }
+    return this.photoCapture.capture();
+  }
+
+  // Whether capturePhoto() can be called.
+  get photoAvailable() {
+    return this._photoAvailable;
+  }
+
+  exit() {
+    if (this.session) {
+      this.session.end();
+    }
+    this.placements.clear(false);
+    if (this.options.onExit) {
+      this.options.onExit();
+    }
+  }
+
+  onInitRenderer() {
+    if (this.gl) {
+      return;
+    }
+
+    // The session's layer is all that's shown, so the canvas is never added
+    // to the page.
+    this.gl = createWebGLContext({xrCompatible: true});
+    this.renderer = new Renderer(this.gl);
+    this.scene.setRenderer(this.renderer);
+  }
+
+  // Occlusion with depth sensing needs the depth shaders. The renderer is
+  // switched to them rather than replaced, so the loaded models don't have to
+  // be loaded and built again.
+  onCreateRenderer(session) {
+    this.renderer.useDepth = this._depthUsage ? 'texture' : false;
+    if (this._depthUsage) {
+      this.renderer.depthDataFormat = session.depthDataFormat;
+    }
+    return this.renderer;
+  }
+
+  onSessionStarted(session) {
+    // depthUsage throws if 'depth-sensing' wasn't granted.
+    try {
+      this._depthUsage = session.depthUsage;
+    } catch (err) {
+      this._depthUsage = null;
+    }
+
+    super.onSessionStarted(session);
+
+    this.placements.session = session;
+
+    session.addEventListener('select', (event) => this._onSelect(event));
+    session.addEventListener('selectstart', (event) => {
+      this.gestures.onSelectStart(event, this.immersiveRefSpace);
+    });
+    session.addEventListener('selectend', (event) => {
+      this.gestures.onSelectEnd(event, this.immersiveRefSpace);
+    });
+    // Two finger gestures are only seen by the DOM overlay.
+    let domOverlay = this.options.sessionInit.domOverlay;
+    this.gestures.attach(domOverlay ? domOverlay.root : document.body);
+
+    if (this.coaching) {
+      this.coaching.reset();
+    }
+
+    session.requestReferenceSpace('viewer').then((refSpace) => {
+      this._viewerSpace = refSpace;
+      return session.requestHitTestSource({space: refSpace}).then((hitTestSource) => {
+        this._hitTestSource = hitTestSource;
+      });
+    }).catch((err) => {
+      console.warn('Hit testing unavailable, falling back to the detected planes', err);
+      if (this.session == session) {
+        this._hitTestUnavailable = true;
+      }
+    });
+
+    if (this.options.placementInput == 'tap' && session.requestHitTestSourceForTransientInput) {
+      session.requestHitTestSourceForTransientInput({profile: 'generic-touchscreen'}).then((hitTestSource) => {
+        this._transientHitTestSource = hitTestSource;
+      }).catch((err) => {
+        console.warn('Transient input hit testing unavailable, placing on the reticle', err);
+      });
+    }
+
+    // Light estimation is optional, the default light is used without it.
+    if (session.requestLightProbe) {
+      session.requestLightProbe().then((lightProbe) => {
+        this._lightProbe = lightProbe;
+      }).catch((err) => {
+        console.warn('Light estimation unavailable, using the default lighting', err);
+      });
+    }
+
+    this.placements.restore();
+  }
+
+  // Keeps the renderer for the next session, unlike WebXRSampleApp, which
+  // goes back to an inline renderer.
+  onSessionEnded(session) {
+    if (session == this.xrButton.session) {
+      this.xrButton.setSession(null);
+    }
+
+    if (this._hitTestSource) {
+      this._hitTestSource.cancel();
+      this._hitTestSource = null;
+    }
+    if (this._transientHitTestSource) {
+      this._transientHitTestSource.cancel();
+      this._transientHitTestSource = null;
+    }
+    this._viewerSpace = null;
+    this._transientHits.clear();
+    this._reticleTransform = null;
+    this.reticle.visible = false;
+
+    // Anchors don't outlive their session.
+    this.placements.clear(false);
+    this.placements.session = null;
+    this.gestures.detach();
+    this.planeRenderer.clearPlanes();
+    this.occluderRenderer.clearOccluders();
+    if (this.coaching) {
+      this.coaching.hide();
+    }
+    if (this.photoCapture) {
+      this.photoCapture.cancel();
+    }
+    this._setTrackingLost(false);
+    this._setPhotoAvailable(false);
+
+    this._lightProbe = null;
+    this._depthUsage = null;
+    this._hitTestUnavailable = false;
+    this._placementUnavailable = false;
+    this.renderer.setLightEstimate(null);
+  }
+
+  onXRFrame(time, frame, refSpace) {
+    let pose = frame.getViewerPose(refSpace);
+
+    if (this.options.showPlanes) {
+      this.planeRenderer.update(frame, refSpace);
+    }
+
+    // With depth sensing the real depth already occludes the content.
+    if (this.options.useOccluders && !this._depthUsage) {
+      this.occluderRenderer.update(frame, refSpace);
+    }
+
+    let reticleHit = null;
+    if (this._hitTestSource && pose) {
+      let hits = frame.getHitTestResults(this._hitTestSource);
+      reticleHit = this._selectHit(hits.map((hit) => {
+        let hitPose = hit.getPose(refSpace);
+        return hitPose ? hitPose.transform : null;
+      }));
+    } else if (pose) {
+      reticleHit = this._hitTestPlanes(frame, pose.transform, refSpace);
+    }
+
+    // Without planes to fall back on there's nothing to place objects on.
+    if (this._hitTestUnavailable && !frame.detectedPlanes) {
+      this._setPlacementUnavailable();
+    }
+
+    this.reticle.visible = !!reticleHit;
+    if (reticleHit) {
+      this.reticle.matrix = reticleHit.matrix;
+      this._reticleTransform = reticleHit;
+    }
+
+    this._updateTransientHits(frame, pose, refSpace);
+    this.gestures.update(this._transientHits);
+
+    // Once something is placed only tracking problems are coached. Finding a
+    // surface can't be coached when there's no way to find one.
+    if (this.coaching && !this._placementUnavailable) {
+      this.coaching.findSurface = !this.placements.objects.length;
+      this.coaching.update(time, pose, reticleHit);
+    }
+
+    // Objects are hidden while their anchor isn't tracked.
+    let allTracked = this.placements.update(frame, refSpace);
+    let coached = this.coaching && this.coaching.state != 'none';
+    this._setTrackingLost(!allTracked && !coached);
+
+    if (this._lightProbe) {
+      let estimate = frame.getLightEstimate(this._lightProbe);
+      if (estimate) {
+        let probePose = frame.getPose(this._lightProbe.probeSpace, refSpace);
+        this.renderer.setLightEstimate(estimate, probePose ? probePose.transform.matrix : null);
+      }
+    }
+
+    let depthData = this._getDepthData(frame, pose);
+    this.scene.drawXRFrame(frame, pose, null, depthData);
+
+    // 'camera-access' is only known to be granted once a view has a camera.
+    if (this.photoCapture && pose) {
+      this._setPhotoAvailable(!!pose.views[0].camera);
+      if (this.photoCapture.pending) {
+        this._capturePhoto(frame, pose, depthData);
+      }
+    }
+  }
+
+  // Draws the frame again for the photo, without the placement guides.
+  _capturePhoto(frame, pose, depthData) {
+    let reticleVisible = this.reticle.visible;
+    let planesVisible = this.planeRenderer.visible;
+    this.reticle.visible = false;
+    this.planeRenderer.visible = false;
+
+    this.photoCapture.onXRFrame(frame, pose, this.scene, this.renderer, depthData);
+
+    this.reticle.visible = reticleVisible;
+    this.planeRenderer.visible = planesVisible;
+  }
+
+  _updateTransientHits(frame, pose, refSpace) {
+    this._transientHits.clear();
+    if (!pose) {
+      return;
+    }
+
+    if (this._transientHitTestSource) {
+      for (let result of frame.getHitTestResultsForTransientInput(this._transientHitTestSource)) {
+        let hit = this._selectHit(result.results.map((hit) => {
+          let hitPose = hit.getPose(refSpace);
+          return hitPose ? hitPose.transform : null;
+        }));
+        if (hit) {
+          this._transientHits.set(result.inputSource, hit);
+        }
+      }
+    } else if (!this._hitTestSource) {
+      // Without 'hit-test' each touch is tested against the detected planes.
+      for (let inputSource of frame.session.inputSources) {
+        if (inputSource.targetRayMode != 'screen') {
+          continue;
+        }
+        let rayPose = frame.getPose(inputSource.targetRaySpace, refSpace);
+        let hit = rayPose ? this._hitTestPlanes(frame, rayPose.transform, refSpace) : null;
+        if (hit) {
+          this._transientHits.set(inputSource, hit);
+        }
+      }
+    }
+  }
+
+  _onSelect(event) {
+    // Taps that are part of a gesture don't place or select anything.
+    if (this.gestures.consumesSelect(event.inputSource)) {
+      return;
+    }
+
+    // Tapping a placed object selects it.
+    let refSpace = this.immersiveRefSpace;
+    let targetRayPose = event.frame.getPose(event.inputSource.targetRaySpace, refSpace);
+    let tappedObject = targetRayPose ? this.placements.objectAt(targetRayPose.transform) : null;
+    if (tappedObject) {
+      this.placements.select(tappedObject);
+      return;
+    }
+
+    // Prefer the point under the finger, then the reticle.
+    let transform = null;
+    if (this.options.placementInput == 'tap') {
+      transform = this._transientHits.get(event.inputSource) || null;
+    }
+    if (!transform && this.reticle.visible) {
+      transform = this._reticleTransform;
+    }
+
+    if (!transform) {
+      this.placements.select(null);
+    } else if (this.placements.isFull) {
+      this._rejectPlacement('max-objects');
+    } else if (!this._footprintFits(event.frame, transform)) {
+      this._rejectPlacement('no-room');
+    } else {
+      this._placeObject(transform, event.frame);
+    }
+  }
+
+  _placeObject(transform, frame) {
+    // Objects on walls stand upright, facing away from the wall.
+    let surface = classifySurface(transform.matrix);
+    if (surface == 'wall') {
+      transform = transformFromMatrix(calculateWallMatrix(transform.matrix));
+    }
+
+    let object = this.placements.add({
+      model: this.options.modelUrl,
+      variant: this.options.modelVariant,
+      scale: this.options.modelScale,
+      surface: surface,
+    }, transform.matrix);
+    this.placements.anchor(object, transform, frame, this.immersiveRefSpace);
+
+    if (this.options.onPlaced) {
+      this.options.onPlaced(object);
+    }
+  }
+
+  _rejectPlacement(reason) {
+    if (this.options.onPlacementRejected) {
+      this.options.onPlacementRejected(reason);
+    }
+  }
+
+  // Whether the object's base fits on the detected plane under |transform|.
+  // Without 'plane-detection', or away from the known planes, it can't be
+  // checked and is assumed to fit.
+  _footprintFits(frame, transform) {
+    let distance = distanceToPlaneEdge(frame, transform.position, this.immersiveRefSpace);
+    return distance === null || distance >= this.options.footprintRadius;
+  }
+
+  // Hit tests the detected planes in JavaScript, for devices that have
+  // 'plane-detection' but not 'hit-test'.
+  _hitTestPlanes(frame, rayTransform, refSpace) {
+    if (!frame.detectedPlanes) {
+      return null;
+    }
+
+    let hits = filterHitTestResults(hitTest(frame, new XRRay(rayTransform), refSpace), false, true);
+    return this._selectHit(hits.map((hit) => transformFromMatrix(hit.hitMatrix)));
+  }
+
+  // Returns the first (closest) of |transforms| on a surface allowed by the
+  // placement mode, or null.
+  _selectHit(transforms) {
+    let mode = this.options.placementMode;
+    return transforms.find((transform) => {
+      let surface = transform ? classifySurface(transform.matrix) : null;
+      return surface && (mode == 'any' || surface == mode);
+    }) || null;
+  }
+
+  // Depth information for each view, or null without 'depth-sensing'. CPU
+  // depth is uploaded into a texture by the renderer every frame.
+  _getDepthData(frame, pose) {
+    if (!this._depthUsage || !pose) {
+      return null;
+    }
+
+    return pose.views.map((view) => {
+      if (this._depthUsage == 'gpu-optimized') {
+        return this.renderer.getXrBinding(frame.session).getDepthInformation(view);
+      }
+      return frame.getDepthInformation(view);
+    });
+  }
+
+  _setTrackingLost(lost) {
+    if (lost == this._trackingLost) {
+      return;
+    }
+
+    this._trackingLost = lost;
+    if (this.options.onTrackingLost) {
+      this.options.onTrackingLost(lost);
+    }
+  }
+
+  _setPlacementUnavailable() {
+    if (this._placementUnavailable) {
+      return;
+    }
+
+    this._placementUnavailable = true;
+    if (this.coaching) {
+      this.coaching.hide();
+    }
+    if (this.options.onPlacementUnavailable) {
+      this.options.onPlacementUnavailable();
+    }
+  }
+
+  _setPhotoAvailable(available) {
+    if (available == this._photoAvailable) {
+      return;
+    }
+
+    this._photoAvailable = available;
+    if (this.options.onPhotoAvailable) {
+      this.options.onPhotoAvailable(available);
+    }
+  }
+}
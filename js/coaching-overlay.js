@@ -0,0 +1,131 @@
+/*
+Coaching prompts shown in the DOM overlay while the user gets tracking going
+and finds a surface to place objects on. Call update() every frame with the
+viewer pose and the reticle's hit test pose, and the overlay moves between
+these states:
+
+  'move-slowly'   There's no viewer pose yet, or its position is emulated
+                  because tracking is limited.
+  'find-surface'  No surface has been hit for |searchTimeout| milliseconds.
+  'move-closer'   The surface that was hit is further than |maxDistance|
+                  meters away.
+  'none'          The reticle has been on a close enough surface for
+                  |stableTime| milliseconds, so nothing is shown.
+
+Apart from tracking problems, which always show straight away, a prompt stays
+up until the situation has settled to avoid flickering between states. The
+element gets the current state in its data-state attribute, for CSS to show
+and animate, and the message for it from |messages|.
+
+Events (listen with addEventListener):
+  'statechange' detail: {state}  The coaching state changed.
+*/
+
+const DEFAULT_SEARCH_TIMEOUT = 3000;
+const DEFAULT_MAX_DISTANCE = 4.0;
+const DEFAULT_STABLE_TIME = 500;
+
+export class CoachingOverlay {
+  constructor(element, options = {}) {
+    this._element = element;
+    this._text = element.querySelector('.coaching-text') || element;
+    this.messages = options.messages || {};
+    this.searchTimeout = options.searchTimeout || DEFAULT_SEARCH_TIMEOUT;
+    this.maxDistance = options.maxDistance || DEFAULT_MAX_DISTANCE;
+    this.stableTime = options.stableTime || DEFAULT_STABLE_TIME;
+
+    // When false only the tracking prompts are shown, for example once the
+    // user has placed something and may look away from the surfaces.
+    this.findSurface = true;
+
+    this._state = null;
+    this._lastHitTime = null;
+    this._stableSince = null;
+    this._events = new EventTarget();
+
+    // Hidden until reset() is called when entering AR.
+    this._setState('none');
+  }
+
+  get state() {
+    return this._state;
+  }
+
+  // Starts coaching again from the beginning, as when entering AR.
+  reset() {
+    this._lastHitTime = null;
+    this._stableSince = null;
+    this._setState('move-slowly');
+  }
+
+  // Hides the prompts until the next reset(), for example when the session
+  // ends.
+  hide() {
+    this._setState('none');
+  }
+
+  // |pose| is the XRViewerPose, or null when there isn't one. |hit| is the
+  // XRRigidTransform of the surface under the reticle, or null.
+  update(timestamp, pose, hit) {
+    if (this._lastHitTime === null) {
+      this._lastHitTime = timestamp;
+    }
+
+    if (!pose || pose.emulatedPosition) {
+      this._stableSince = null;
+      this._setState('move-slowly');
+      return;
+    }
+
+    if (!this.findSurface) {
+      this._setState('none');
+      return;
+    }
+
+    if (hit) {
+      this._lastHitTime = timestamp;
+
+      let viewer = pose.transform.position;
+      let distance = Math.hypot(hit.position.x - viewer.x,
+                                hit.position.y - viewer.y,
+                                hit.position.z - viewer.z);
+      if (distance > this.maxDistance) {
+        this._stableSince = null;
+        this._setState('move-closer');
+        return;
+      }
+
+      if (this._stableSince === null) {
+        this._stableSince = timestamp;
+      }
+      if (timestamp - this._stableSince >= this.stableTime) {
+        this._setState('none');
+      }
+      return;
+    }
+
+    this._stableSince = null;
+    if (timestamp - this._lastHitTime >= this.searchTimeout) {
+      this._setState('find-surface');
+    }
+  }
+
+  addEventListener(type, listener) {
+    this._events.addEventListener(type, listener);
+  }
+
+  removeEventListener(type, listener) {
+    this._events.removeEventListener(type, listener);
+  }
+
+  _setState(state) {
+    if (state == this._state) {
+      return;
+    }
+
+    this._state = state;
+    this._element.dataset.state = state;
+    this._text.textContent = this.messages[state] || '';
+    this._events.dispatchEvent(new CustomEvent('statechange', {detail: {state: state}}));
+  }
+}
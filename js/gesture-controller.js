@@ -0,0 +1,219 @@
+/*
+Screen gestures to adjust objects placed with a PlacementManager:
+
+- Dragging an object with one finger slides it along the detected surfaces,
+  following the hit test results for the transient input source under the
+  finger.
+- Twisting two fingers rotates the selected object around the normal of the
+  surface it's on and pinching scales it between |minScale| and |maxScale|. Transient input
+  sources don't describe both fingers, so these come from the touch events
+  that reach the DOM overlay.
+
+Objects are never moved below the lowest surface seen so far. Taps that end
+up being part of a gesture are reported by consumesSelect() so the app can
+skip its usual select handling for them.
+*/
+
+import {vec3} from './render/math/gl-matrix.js';
+
+// Distance the finger has to travel over the surface before a touch on an
+// object becomes a drag, in meters.
+const DRAG_THRESHOLD = 0.015;
+
+export class GestureController {
+  constructor(placements, options = {}) {
+    this._placements = placements;
+    this.minScale = options.minScale || 0.25;
+    this.maxScale = options.maxScale || 3.0;
+
+    // Height of the lowest surface hit so far, used as the floor.
+    this._floorHeight = Infinity;
+
+    // Active screen touches, keyed by their transient XRInputSource.
+    this._touches = new Map();
+    this._consumed = new Set();
+    this._pinch = null;
+    this._element = null;
+
+    this._onTouchStart = (event) => this._touchStart(event);
+    this._onTouchMove = (event) => this._touchMove(event);
+    this._onTouchEnd = (event) => this._touchEnd(event);
+  }
+
+  // Listens for the two finger gestures on |element|, usually the DOM
+  // overlay root.
+  attach(element) {
+    this.detach();
+
+    // Each session's reference space has its own origin, so the floor found
+    // in an earlier one doesn't apply.
+    this._floorHeight = Infinity;
+
+    this._element = element;
+    element.addEventListener('touchstart', this._onTouchStart, {passive: true});
+    element.addEventListener('touchmove', this._onTouchMove, {passive: true});
+    element.addEventListener('touchend', this._onTouchEnd, {passive: true});
+    element.addEventListener('touchcancel', this._onTouchEnd, {passive: true});
+  }
+
+  detach() {
+    if (!this._element) {
+      return;
+    }
+
+    this._element.removeEventListener('touchstart', this._onTouchStart);
+    this._element.removeEventListener('touchmove', this._onTouchMove);
+    this._element.removeEventListener('touchend', this._onTouchEnd);
+    this._element.removeEventListener('touchcancel', this._onTouchEnd);
+    this._element = null;
+
+    this._touches.clear();
+    this._consumed.clear();
+    this._pinch = null;
+  }
+
+  // Whether the select event from |inputSource| was part of a gesture and
+  // shouldn't be treated as a tap.
+  consumesSelect(inputSource) {
+    return this._consumed.has(inputSource);
+  }
+
+  onSelectStart(event, refSpace) {
+    let inputSource = event.inputSource;
+    if (inputSource.targetRayMode != 'screen') {
+      return;
+    }
+
+    let object = null;
+    let targetRayPose = event.frame.getPose(inputSource.targetRaySpace, refSpace);
+    if (targetRayPose) {
+      object = this._placements.objectAt(targetRayPose.transform);
+    }
+
+    this._touches.set(inputSource, {
+      object: object,
+      startHit: null,
+      startPosition: null,
+      dragging: false,
+    });
+
+    // A second finger turns the gesture into a twist or pinch.
+    if (this._touches.size > 1) {
+      for (let [source, touch] of this._touches) {
+        this._consumed.add(source);
+        touch.object = touch.dragging ? touch.object : null;
+      }
+    }
+  }
+
+  onSelectEnd(event, refSpace) {
+    let inputSource = event.inputSource;
+    let touch = this._touches.get(inputSource);
+    if (touch && touch.dragging) {
+      this._placements.commitMove(touch.object, event.frame, refSpace);
+    }
+
+    this._touches.delete(inputSource);
+    this._consumed.delete(inputSource);
+  }
+
+  // |transientHits| maps each transient input source to the XRRigidTransform
+  // of the surface under it this frame.
+  update(transientHits) {
+    for (let hit of transientHits.values()) {
+      this._floorHeight = Math.min(this._floorHeight, hit.position.y);
+    }
+
+    if (this._touches.size != 1) {
+      return;
+    }
+
+    let [inputSource, touch] = this._touches.entries().next().value;
+    let hit = transientHits.get(inputSource);
+    if (!touch.object || !hit) {
+      return;
+    }
+
+    let hitPosition = vec3.fromValues(hit.position.x, hit.position.y, hit.position.z);
+    if (!touch.startHit) {
+      touch.startHit = hitPosition;
+      touch.startPosition = touch.object.getTargetPosition(vec3.create());
+      this._floorHeight = Math.min(this._floorHeight, touch.startPosition[1]);
+      return;
+    }
+
+    if (!touch.dragging) {
+      if (vec3.distance(touch.startHit, hitPosition) < DRAG_THRESHOLD) {
+        return;
+      }
+      touch.dragging = true;
+      this._consumed.add(inputSource);
+      this._placements.select(touch.object);
+    }
+
+    // Keep the point where the object was grabbed under the finger.
+    let position = vec3.create();
+    vec3.subtract(position, hitPosition, touch.startHit);
+    vec3.add(position, position, touch.startPosition);
+    position[1] = Math.max(position[1], this._floorHeight);
+
+    this._placements.moveTo(touch.object, position);
+  }
+
+  _touchStart(event) {
+    let object = this._placements.selected;
+    if (event.touches.length != 2 || !object) {
+      return;
+    }
+
+    for (let inputSource of this._touches.keys()) {
+      this._consumed.add(inputSource);
+    }
+
+    this._pinch = {
+      object: object,
+      lastAngle: touchAngle(event.touches),
+      startDistance: touchDistance(event.touches),
+      startScale: object.content.targetScale,
+    };
+  }
+
+  _touchMove(event) {
+    let pinch = this._pinch;
+    if (!pinch || event.touches.length != 2) {
+      return;
+    }
+
+    // Accumulate the twist incrementally so it can go past half a turn.
+    // Screen angles grow clockwise, while a positive rotation around the
+    // surface normal is counter-clockwise seen from the front of the surface.
+    let content = pinch.object.content;
+    let angle = touchAngle(event.touches);
+    let delta = angle - pinch.lastAngle;
+    delta = Math.atan2(Math.sin(delta), Math.cos(delta));
+    content.targetYaw -= delta;
+    pinch.lastAngle = angle;
+
+    if (pinch.startDistance > 0) {
+      let scale = pinch.startScale * touchDistance(event.touches) / pinch.startDistance;
+      content.targetScale = Math.min(Math.max(scale, this.minScale), this.maxScale);
+    }
+  }
+
+  _touchEnd(event) {
+    if (this._pinch && event.touches.length < 2) {
+      this._placements.saveAdjustments(this._pinch.object);
+      this._pinch = null;
+    }
+  }
+}
+
+function touchAngle(touches) {
+  return Math.atan2(touches[1].clientY - touches[0].clientY,
+                    touches[1].clientX - touches[0].clientX);
+}
+
+function touchDistance(touches) {
+  return Math.hypot(touches[1].clientX - touches[0].clientX,
+                    touches[1].clientY - touches[0].clientY);
+}
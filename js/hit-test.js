@@ -120,6 +120,48 @@ let calculateHitMatrix = function(ray_vector, plane_normal, point) {
   return hitMatrix;
 }
 
+// Surfaces whose normal is within ~30 degrees of straight up (or down) are
+// floors (or ceilings), and within ~20 degrees of horizontal are walls.
+const HORIZONTAL_SURFACE_COSINE = 0.85;
+const VERTICAL_SURFACE_COSINE = 0.35;
+
+// Classifies the surface of a hit test result from its pose, whose Y axis is
+// the surface normal (as in the poses of XRHitTestResult and `hitMatrix`).
+// |hitMatrix| - Float32Array
+// Returns "floor", "wall" or "ceiling", or null for slanted surfaces.
+export function classifySurface(hitMatrix) {
+  const normal_y = normalize({x : hitMatrix[4], y : hitMatrix[5], z : hitMatrix[6], w : 0}).y;
+
+  if(normal_y >= HORIZONTAL_SURFACE_COSINE) {
+    return "floor";
+  }
+  if(normal_y <= -HORIZONTAL_SURFACE_COSINE) {
+    return "ceiling";
+  }
+  if(Math.abs(normal_y) <= VERTICAL_SURFACE_COSINE) {
+    return "wall";
+  }
+  return null;
+}
+
+// Pose for an object hanging on a wall at |hitMatrix|: upright, with its Z axis
+// facing out from the wall so that models authored facing +Z face the room.
+// |hitMatrix| - Float32Array whose Y axis is the wall's normal
+export function calculateWallMatrix(hitMatrix) {
+  const wall_normal = {x : hitMatrix[4], y : 0, z : hitMatrix[6], w : 0};
+
+  const y = {x : 0, y : 1, z : 0, w : 0};
+  const z = normalize(wall_normal);
+  const x = crossProduct(y, z);
+
+  return new Float32Array([
+    x.x, x.y, x.z, 0,
+    y.x, y.y, y.z, 0,
+    z.x, z.y, z.z, 0,
+    hitMatrix[12], hitMatrix[13], hitMatrix[14], 1
+  ]);
+}
+
 // Single plane hit test - doesn't take into account the plane's polygon.
 // |frame| - XRFrame, |ray| - XRRay, |plane| - XRPlane, |frameOfReference| - XRSpace
 // Returns null if the hit test did not hit the |plane|.
@@ -153,11 +195,9 @@ function hitTestPlane(frame, ray, plane, frameOfReference) {
     // parallel planes
     if(numerator < 0.0001 && numerator > -0.0001) {
       // contained in the plane
-      console.debug("Ray contained in the plane", plane);
       return { plane : plane };
     } else {
       // no hit
-      console.debug("No hit", plane);
       return null;
     }
   } else {
@@ -165,7 +205,6 @@ function hitTestPlane(frame, ray, plane, frameOfReference) {
     const d =  numerator / denominator;
     if(d < 0) {
       // no hit - plane-line intersection exists but not for half-line
-      console.debug("No hit", d, plane);
       return null;
     } else {
       const point = add(ray_origin, mul(ray_vector, d));  // hit test point coordinates in frameOfReference
@@ -243,56 +282,121 @@ export function extendPolygon(polygon) {
   });
 }
 
-// 2d "cross product" of 3d points lying on a 2d plane with Y = 0
-let crossProduct2d = function(lhs, rhs) {
-  return lhs.x * rhs.z - lhs.z * rhs.x;
+// 2d "cross product" of (b - a) and (p - a) for 3d points lying on a 2d plane
+// with Y = 0. Positive if |p| is to the left of the line going from |a| to |b|.
+let isLeft = function(a, b, p) {
+  return (b.x - a.x) * (p.z - a.z) - (p.x - a.x) * (b.z - a.z);
+}
+
+// Distance from |point| to the segment going from |a| to |b|, all of them
+// lying on a 2d plane with Y = 0.
+let distanceToSegment = function(point, a, b) {
+  const dx = b.x - a.x;
+  const dz = b.z - a.z;
+  const length_squared = dx * dx + dz * dz;
+
+  let t = 0;
+  if(length_squared > 0) {
+    t = ((point.x - a.x) * dx + (point.z - a.z) * dz) / length_squared;
+    t = Math.min(Math.max(t, 0), 1);
+  }
+
+  return Math.hypot(point.x - (a.x + t * dx), point.z - (a.z + t * dz));
+}
+
+// Distance from |point| to the closest edge of |polygon|, both relative to the
+// plane's pose (Y = 0). The distance is the same whether |point| is inside or
+// outside of the polygon; use pointInPolygon() to tell them apart.
+export function distanceToPolygonEdge(point, polygon) {
+  let distance = Infinity;
+  let previous_point = polygon[polygon.length - 1];
+  for(let i = 0; i < polygon.length; ++i) {
+    const current_point = polygon[i];
+    distance = Math.min(distance, distanceToSegment(point, previous_point, current_point));
+    previous_point = current_point;
+  }
+
+  return distance;
+}
+
+// Checks whether |point| falls within |polygon|, both relative to the plane's
+// pose (Y = 0), using the winding number so that concave polygons (such as
+// L-shaped floors) work too. Points outside of the polygon but closer than
+// |margin| to one of its edges are considered inside as well.
+export function pointInPolygon(point, polygon, margin = 0) {
+  if(polygon.length < 3) {
+    return false;
+  }
+
+  let winding_number = 0;
+  let previous_point = polygon[polygon.length - 1];
+  for(let i = 0; i < polygon.length; ++i) {
+    const current_point = polygon[i];
+
+    if(previous_point.z <= point.z) {
+      // upward crossing with the point to the left of the edge
+      if(current_point.z > point.z && isLeft(previous_point, current_point, point) > 0) {
+        ++winding_number;
+      }
+    } else {
+      // downward crossing with the point to the right of the edge
+      if(current_point.z <= point.z && isLeft(previous_point, current_point, point) < 0) {
+        --winding_number;
+      }
+    }
+
+    previous_point = current_point;
+  }
+
+  if(winding_number != 0) {
+    return true;
+  }
+
+  return margin > 0 && distanceToPolygonEdge(point, polygon) <= margin;
+}
+
+// Distance from |point| (in |frameOfReference| coordinates) to the edge of the
+// detected plane it lies on, so that callers can check whether an object's
+// footprint fits on the plane. Returns null if |point| isn't on any of the
+// planes, within |tolerance| meters above or below it.
+export function distanceToPlaneEdge(frame, point, frameOfReference, tolerance = 0.02) {
+  const planes = frame.detectedPlanes;
+  if(!planes) {
+    return null;
+  }
+
+  let result = null;
+  planes.forEach(plane => {
+    const plane_pose = frame.getPose(plane.planeSpace, frameOfReference);
+    if(!plane_pose || result !== null) {
+      return;
+    }
+
+    const point_on_plane = transform_point_by_matrix(
+      plane_pose.transform.inverse.matrix, {x : point.x, y : point.y, z : point.z, w : 1});
+    if(Math.abs(point_on_plane.y) > tolerance || !pointInPolygon(point_on_plane, plane.polygon)) {
+      return;
+    }
+
+    result = distanceToPolygonEdge(point_on_plane, plane.polygon);
+  });
+
+  return result;
 }
 
 // Filters hit test results to keep only the planes for which the used ray falls
-// within their polygon. Optionally, we can keep the last horizontal plane that
-// was hit.
+// within their polygon, or within |margin| meters of its edges. Optionally, we
+// can keep the last horizontal plane that was hit.
 export function filterHitTestResults(hitTestResults,
                                      keep_last_plane = false,
-                                     simplify_planes = false) {
+                                     simplify_planes = false,
+                                     margin = 0) {
   let result = hitTestResults.filter(hitTestResult => {
 
     let polygon = simplify_planes ? simplifyPolygon(hitTestResult.plane.polygon)
                                   : hitTestResult.plane.polygon;
 
-    const hit_test_point = hitTestResult.point_on_plane;
-
-    // Check if the point is on the same side from all the segments:
-    // - if yes, then it's in the polygon
-    // - if no, then it's outside of the polygon
-    // This works only for convex polygons.
-
-    let side = 0; // unknown, 1 = right, 2 = left
-    let previous_point = polygon[polygon.length - 1];
-    for(let i = 0; i < polygon.length; ++i) {
-      const current_point = polygon[i];
-
-      const line_segment = sub(current_point, previous_point);
-      const segment_direction = normalize(line_segment);
-
-      const turn_segment = sub(hit_test_point, current_point);
-      const turn_direction = normalize(turn_segment);
-
-      const cosine_ray_segment = crossProduct2d(segment_direction, turn_direction);
-      if(side == 0) {
-        if(cosine_ray_segment > 0) {
-          side = 1;
-        } else {
-          side = 2;
-        }
-      } else {
-        if(cosine_ray_segment > 0 && side == 2) return false;
-        if(cosine_ray_segment < 0 && side == 1) return false;
-      }
-
-      previous_point = current_point;
-    }
-
-    return true;
+    return pointInPolygon(hitTestResult.point_on_plane, polygon, margin);
   });
 
   if(keep_last_plane && hitTestResults.length > 0) {
@@ -0,0 +1,162 @@
+/*
+Shows a glTF model on the page, for desktops and browsers that can't place it
+in AR. The model is framed to fit and can be orbited, zoomed and panned with
+the mouse or touch, see InlineViewerHelper.
+
+  let viewer = new InlineModelViewer(container, {modelUrl: 'media/gltf/model.glb'});
+  viewer.run();
+
+It draws through an inline XRSession when there is one, and otherwise with its
+own animation loop on a plain canvas. Either way XRRigidTransform has to exist,
+so load the WebXR polyfill in browsers without WebXR.
+
+Options (all optional except modelUrl):
+  modelUrl    glTF model to show.
+  modelScale  Scale the model is shown at.
+  orbit       Options for the orbit, see InlineViewerHelper. The target and
+              distance are worked out from the model's bounds when not given.
+*/
+
+import {WebXRSampleApp} from './webxr-sample-app.js';
+import {Renderer} from './render/core/renderer.js';
+import {Gltf2Node} from './render/nodes/gltf2.js';
+import {InlineViewerHelper} from './util/inline-viewer-helper.js';
+import {mat4, vec3} from './render/math/gl-matrix.js';
+
+// Vertical field of view, narrower than the inline session default of 90
+// degrees so the model isn't distorted.
+const FIELD_OF_VIEW = Math.PI * 0.3;
+// Room left around the model when it's framed.
+const FRAMING_MARGIN = 1.3;
+
+export class InlineModelViewer extends WebXRSampleApp {
+  constructor(container, options = {}) {
+    super({
+      inline: true,
+      referenceSpace: 'viewer',
+      defaultInputHandling: false,
+    });
+
+    if (!options.modelUrl) {
+      throw new Error('InlineModelViewer requires a modelUrl');
+    }
+
+    this._container = container;
+    this.options.modelUrl = options.modelUrl;
+    this.options.modelScale = options.modelScale || 1;
+    this.options.orbit = Object.assign({}, options.orbit);
+
+    this.scene.enableStats(false);
+
+    this.model = new Gltf2Node({url: this.options.modelUrl});
+    this.model.scale = [this.options.modelScale, this.options.modelScale, this.options.modelScale];
+    this.scene.addNode(this.model);
+
+    // Frames the model once its size is known, unless the orbit was given.
+    if (!this.options.orbit.target || !this.options.orbit.distance) {
+      this.model.waitForComplete().then(() => this._frameModel());
+    }
+  }
+
+  // Only an inline session is used, the immersive button isn't shown.
+  onInitXR() {
+    if (!navigator.xr) {
+      this._startCanvasLoop();
+      return;
+    }
+
+    navigator.xr.requestSession('inline').then((session) => {
+      this.onSessionStarted(session);
+    }).catch((err) => {
+      console.warn('Inline session unavailable, drawing to a plain canvas', err);
+      this._startCanvasLoop();
+    });
+  }
+
+  // The canvas goes in the container instead of the page body.
+  onInitRenderer() {
+    if (this.gl) {
+      return;
+    }
+
+    this.gl = this.onCreateGL();
+    let canvas = this.gl.canvas;
+    canvas.style.display = 'block';
+    canvas.style.width = '100%';
+    canvas.style.height = '100%';
+    this._container.appendChild(canvas);
+
+    let onResize = () => {
+      canvas.width = canvas.clientWidth * window.devicePixelRatio;
+      canvas.height = canvas.clientHeight * window.devicePixelRatio;
+    };
+    window.addEventListener('resize', onResize);
+    onResize();
+
+    this.renderer = new Renderer(this.gl);
+    this.scene.setRenderer(this.renderer);
+  }
+
+  onSessionStarted(session) {
+    super.onSessionStarted(session);
+    session.updateRenderState({inlineVerticalFieldOfView: FIELD_OF_VIEW});
+  }
+
+  onCreateInlineViewerHelper(refSpace) {
+    return new InlineViewerHelper(this.gl.canvas, refSpace, this.options.orbit);
+  }
+
+  _startCanvasLoop() {
+    this.onInitRenderer();
+    let gl = this.gl;
+    this.inlineViewerHelper = this.onCreateInlineViewerHelper(null);
+
+    let projectionMatrix = mat4.create();
+    let onFrame = (time) => {
+      window.requestAnimationFrame(onFrame);
+
+      let canvas = gl.canvas;
+      if (!canvas.width || !canvas.height) {
+        return;
+      }
+
+      this.inlineViewerHelper.update(time);
+      mat4.perspective(projectionMatrix, FIELD_OF_VIEW, canvas.width / canvas.height, 0.1, 1000.0);
+
+      gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+      gl.viewport(0, 0, canvas.width, canvas.height);
+      gl.clear(gl.COLOR_BUFFER_BIT | gl.DEPTH_BUFFER_BIT);
+
+      this.scene.startFrame();
+      this.scene.draw(projectionMatrix, this.inlineViewerHelper.orbitTransform);
+      this.scene.endFrame();
+    };
+    window.requestAnimationFrame(onFrame);
+  }
+
+  // Points the orbit at the center of the model from far enough away for all
+  // of it to be in view.
+  _frameModel() {
+    let bounds = this.model.getWorldBounds();
+    if (!bounds) {
+      return;
+    }
+
+    let center = vec3.lerp(vec3.create(), bounds.min, bounds.max, 0.5);
+    let radius = vec3.distance(bounds.min, bounds.max) * 0.5;
+    let distance = (radius / Math.sin(FIELD_OF_VIEW * 0.5)) * FRAMING_MARGIN;
+
+    this.options.orbit.target = this.options.orbit.target || center;
+    this.options.orbit.distance = this.options.orbit.distance || distance;
+    this.options.orbit.minDistance = this.options.orbit.minDistance || radius;
+    this.options.orbit.maxDistance = this.options.orbit.maxDistance || distance * 4;
+
+    // The helper may already exist if the model took longer than the session.
+    let helper = this.inlineViewerHelper;
+    if (helper) {
+      helper.minDistance = this.options.orbit.minDistance;
+      helper.maxDistance = this.options.orbit.maxDistance;
+      helper.setOrbit(this.options.orbit.target, this.options.orbit.distance);
+    }
+  }
+}
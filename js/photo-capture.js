@@ -0,0 +1,321 @@
+/*
+Takes photos of the AR view. The WebGL canvas of an AR session only holds the
+rendered scene, so the camera image from the WebXR 'camera-access' module is
+drawn into an offscreen framebuffer first and the scene is rendered on top of
+it. The result gets an optional brand watermark and is encoded as a PNG Blob.
+
+capture() asks for a photo of the next frame, which is taken when
+onXRFrame() is called after the frame has been drawn:
+
+  let photoCapture = new PhotoCapture({watermark: {image: 'media/images/logo.png'}});
+  photoCapture.capture().then((blob) => { ... });
+
+Watermark options:
+  image     URL of an image to draw in a corner of the photo.
+  text      Text to draw in the same corner.
+  position  'top-left', 'top-right', 'bottom-left' or 'bottom-right'.
+  opacity   From 0 to 1.
+  size      Width of the image as a fraction of the photo's width.
+*/
+
+import {Program} from './render/core/program.js';
+import {WebXRView} from './render/scenes/scene.js';
+
+const GL = WebGLRenderingContext; // For enums
+
+const DEFAULT_WATERMARK = {
+  image: null,
+  text: null,
+  position: 'bottom-right',
+  opacity: 0.8,
+  size: 0.25,
+};
+
+// Space left between the watermark and the edges, as a fraction of the
+// photo's width.
+const WATERMARK_MARGIN = 0.03;
+
+const CAMERA_VERTEX_SOURCE = `
+in vec2 POSITION;
+
+out vec2 vTexCoord;
+
+void main() {
+  vTexCoord = POSITION * 0.5 + 0.5;
+  gl_Position = vec4(POSITION, 0.0, 1.0);
+}`;
+
+const CAMERA_FRAGMENT_SOURCE = `
+precision mediump float;
+
+uniform sampler2D CAMERA_IMAGE;
+
+in vec2 vTexCoord;
+out vec4 fragColor;
+
+void main() {
+  fragColor = vec4(texture(CAMERA_IMAGE, vTexCoord).rgb, 1.0);
+}`;
+
+export class PhotoCapture {
+  constructor(options = {}) {
+    this.watermark = options.watermark ?
+        Object.assign({}, DEFAULT_WATERMARK, options.watermark) : null;
+
+    this._requests = [];
+    this._watermarkImage = null;
+
+    // GL resources, created on the first capture.
+    this._gl = null;
+    this._program = null;
+    this._vertexArray = null;
+    this._framebuffer = null;
+    this._colorTexture = null;
+    this._depthBuffer = null;
+    this._width = 0;
+    this._height = 0;
+  }
+
+  // Whether a photo will be taken on the next frame.
+  get pending() {
+    return this._requests.length > 0;
+  }
+
+  // Returns a promise for a PNG Blob of the next frame.
+  capture() {
+    return new Promise((resolve, reject) => {
+      this._requests.push({resolve, reject});
+    });
+  }
+
+  // Rejects the photos that haven't been taken, for example when the session
+  // ends.
+  cancel() {
+    this._rejectAll(new Error('The AR session ended before the photo was taken'));
+  }
+
+  // Takes the pending photos from the first view of |pose|. Call it once the
+  // frame has been drawn, while the camera image is still valid. |depthData|
+  // is the depth information passed to Scene.drawXRFrame(), if any.
+  onXRFrame(frame, pose, scene, renderer, depthData = null) {
+    if (!this._requests.length || !pose) {
+      return;
+    }
+
+    let view = pose.views[0];
+    if (!view.camera) {
+      this._rejectAll(new Error(`No camera image, the session needs 'camera-access'`));
+      return;
+    }
+
+    let requests = this._requests;
+    this._requests = [];
+
+    let width = view.camera.width;
+    let height = view.camera.height;
+    let pixels;
+    try {
+      let cameraTexture = renderer.getXrBinding(frame.session).getCameraImage(view.camera);
+      pixels = this._render(renderer, scene, view, cameraTexture, width, height, depthData);
+    } catch (err) {
+      requests.forEach((request) => request.reject(err));
+      return;
+    }
+
+    this._encode(pixels, width, height).then((blob) => {
+      requests.forEach((request) => request.resolve(blob));
+    }, (err) => {
+      requests.forEach((request) => request.reject(err));
+    });
+  }
+
+  _rejectAll(err) {
+    let requests = this._requests;
+    this._requests = [];
+    requests.forEach((request) => request.reject(err));
+  }
+
+  // Draws the camera image and then the scene into the offscreen framebuffer,
+  // and returns its pixels, bottom row first.
+  _render(renderer, scene, view, cameraTexture, width, height, depthData) {
+    let gl = renderer.gl;
+    this._initGL(gl, width, height);
+
+    let prevFramebuffer = gl.getParameter(gl.FRAMEBUFFER_BINDING);
+    let prevViewport = gl.getParameter(gl.VIEWPORT);
+    let prevClearColor = gl.getParameter(gl.COLOR_CLEAR_VALUE);
+
+    gl.bindFramebuffer(gl.FRAMEBUFFER, this._framebuffer);
+    gl.viewport(0, 0, width, height);
+
+    // The camera image is the background.
+    gl.disable(gl.DEPTH_TEST);
+    gl.disable(gl.BLEND);
+    gl.disable(gl.CULL_FACE);
+    gl.colorMask(true, true, true, true);
+    this._program.use();
+    gl.activeTexture(gl.TEXTURE0);
+    gl.bindTexture(gl.TEXTURE_2D, cameraTexture);
+    gl.uniform1i(this._program.uniform.CAMERA_IMAGE, 0);
+    gl.bindVertexArray(this._vertexArray);
+    gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
+    gl.bindVertexArray(null);
+
+    gl.depthMask(true);
+    gl.clear(gl.DEPTH_BUFFER_BIT);
+    scene.drawViewArray([new WebXRView(view, null, {x: 0, y: 0, width, height})],
+                        depthData ? [depthData[0]] : null);
+
+    // Transparent content mustn't make the photo see-through.
+    gl.colorMask(false, false, false, true);
+    gl.clearColor(0, 0, 0, 1);
+    gl.clear(gl.COLOR_BUFFER_BIT);
+    gl.colorMask(true, true, true, true);
+    gl.clearColor(prevClearColor[0], prevClearColor[1], prevClearColor[2], prevClearColor[3]);
+
+    let pixels = new Uint8Array(width * height * 4);
+    gl.readPixels(0, 0, width, height, gl.RGBA, gl.UNSIGNED_BYTE, pixels);
+
+    gl.bindFramebuffer(gl.FRAMEBUFFER, prevFramebuffer);
+    gl.viewport(prevViewport[0], prevViewport[1], prevViewport[2], prevViewport[3]);
+
+    return pixels;
+  }
+
+  _initGL(gl, width, height) {
+    if (this._gl != gl) {
+      this._gl = gl;
+      this._program = new Program(gl, CAMERA_VERTEX_SOURCE, CAMERA_FRAGMENT_SOURCE, {POSITION: 0});
+
+      // A full screen quad, in its own vertex array so the renderer's vertex
+      // state isn't touched.
+      this._vertexArray = gl.createVertexArray();
+      gl.bindVertexArray(this._vertexArray);
+      let vertexBuffer = gl.createBuffer();
+      gl.bindBuffer(gl.ARRAY_BUFFER, vertexBuffer);
+      gl.bufferData(gl.ARRAY_BUFFER, new Float32Array([-1, -1, 1, -1, -1, 1, 1, 1]), gl.STATIC_DRAW);
+      gl.enableVertexAttribArray(0);
+      gl.vertexAttribPointer(0, 2, gl.FLOAT, false, 8, 0);
+      gl.bindVertexArray(null);
+
+      this._framebuffer = gl.createFramebuffer();
+      this._colorTexture = gl.createTexture();
+      this._depthBuffer = gl.createRenderbuffer();
+      this._width = 0;
+      this._height = 0;
+    }
+
+    if (this._width == width && this._height == height) {
+      return;
+    }
+    this._width = width;
+    this._height = height;
+
+    gl.bindTexture(gl.TEXTURE_2D, this._colorTexture);
+    gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA8, width, height, 0, gl.RGBA, gl.UNSIGNED_BYTE, null);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+    gl.bindTexture(gl.TEXTURE_2D, null);
+
+    gl.bindRenderbuffer(gl.RENDERBUFFER, this._depthBuffer);
+    gl.renderbufferStorage(gl.RENDERBUFFER, gl.DEPTH_COMPONENT24, width, height);
+    gl.bindRenderbuffer(gl.RENDERBUFFER, null);
+
+    let prevFramebuffer = gl.getParameter(gl.FRAMEBUFFER_BINDING);
+    gl.bindFramebuffer(gl.FRAMEBUFFER, this._framebuffer);
+    gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, this._colorTexture, 0);
+    gl.framebufferRenderbuffer(gl.FRAMEBUFFER, gl.DEPTH_ATTACHMENT, gl.RENDERBUFFER, this._depthBuffer);
+    let status = gl.checkFramebufferStatus(gl.FRAMEBUFFER);
+    gl.bindFramebuffer(gl.FRAMEBUFFER, prevFramebuffer);
+    if (status != GL.FRAMEBUFFER_COMPLETE) {
+      this._width = this._height = 0;
+      throw new Error(`Unable to create a ${width}x${height} framebuffer for the photo`);
+    }
+  }
+
+  // Flips |pixels| the right way up onto a canvas, adds the watermark and
+  // encodes it as a PNG.
+  _encode(pixels, width, height) {
+    let canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    let ctx = canvas.getContext('2d');
+
+    let imageData = ctx.createImageData(width, height);
+    let rowLength = width * 4;
+    for (let y = 0; y < height; ++y) {
+      let row = pixels.subarray((height - 1 - y) * rowLength, (height - y) * rowLength);
+      imageData.data.set(row, y * rowLength);
+    }
+    ctx.putImageData(imageData, 0, 0);
+
+    return this._drawWatermark(ctx, width, height).then(() => {
+      return new Promise((resolve, reject) => {
+        canvas.toBlob((blob) => {
+          if (blob) {
+            resolve(blob);
+          } else {
+            reject(new Error('Unable to encode the photo as a PNG'));
+          }
+        }, 'image/png');
+      });
+    });
+  }
+
+  _loadWatermarkImage() {
+    if (!this._watermarkImage) {
+      let image = new Image();
+      image.src = this.watermark.image;
+      // A missing watermark shouldn't cost the user their photo.
+      this._watermarkImage = image.decode().then(() => image).catch((err) => {
+        console.warn(`Unable to load the watermark image ${this.watermark.image}`, err);
+        return null;
+      });
+    }
+    return this._watermarkImage;
+  }
+
+  _drawWatermark(ctx, width, height) {
+    let watermark = this.watermark;
+    if (!watermark || (!watermark.image && !watermark.text)) {
+      return Promise.resolve();
+    }
+
+    let imagePromise = watermark.image ? this._loadWatermarkImage() : Promise.resolve(null);
+    return imagePromise.then((image) => {
+      let margin = width * WATERMARK_MARGIN;
+      let [vertical, horizontal] = watermark.position.split('-');
+      let fromTop = vertical == 'top';
+      let fromLeft = horizontal == 'left';
+
+      ctx.save();
+      ctx.globalAlpha = watermark.opacity;
+
+      // The text sits against the edge with the image stacked above or
+      // below it.
+      let y = fromTop ? margin : height - margin;
+      if (watermark.text) {
+        let fontSize = Math.round(width * 0.035);
+        ctx.font = `bold ${fontSize}px sans-serif`;
+        ctx.fillStyle = '#fff';
+        ctx.shadowColor = 'rgba(0, 0, 0, 0.6)';
+        ctx.shadowBlur = fontSize * 0.25;
+        ctx.textAlign = fromLeft ? 'left' : 'right';
+        ctx.textBaseline = fromTop ? 'top' : 'bottom';
+        ctx.fillText(watermark.text, fromLeft ? margin : width - margin, y);
+        ctx.shadowColor = 'transparent';
+        y += (fromTop ? 1 : -1) * fontSize * 1.4;
+      }
+
+      if (image) {
+        let imageWidth = width * watermark.size;
+        let imageHeight = imageWidth * image.naturalHeight / image.naturalWidth;
+        let x = fromLeft ? margin : width - margin - imageWidth;
+        ctx.drawImage(image, x, fromTop ? y : y - imageHeight, imageWidth, imageHeight);
+      }
+
+      ctx.restore();
+    });
+  }
+}
@@ -0,0 +1,409 @@
+/*
+Keeps track of every object placed in an AR scene: creates the node tree for
+each placement, anchors it to the real world, persists the anchor when an
+AnchorStore is given, and tracks which object is currently selected.
+
+Each placed object's model is selectable, so tapping it can be resolved with
+objectAt() using the tap's target ray. Only the model is, since the shadow
+catcher and selection ring reach well past it and would catch taps meant for
+the empty surface around it. The root node follows the anchor, while its
+|content| child holds the offset, rotation and scale set with gestures.
+
+Objects on floors and ceilings are anchored with their Y axis along the
+surface normal. Objects on walls are anchored upright with their Z axis along
+the wall's normal instead, so their shadow catcher, selection ring and twist
+rotation are turned to lie on the wall.
+
+Events (listen with addEventListener):
+  'add'             detail: {object}  A new object was added to the scene.
+  'remove'          detail: {object}  An object was removed from the scene.
+  'selectionchange' detail: {object}  The selected object changed (may be null).
+*/
+
+import {Node} from './render/core/node.js';
+import {mat4, quat, vec3} from './render/math/gl-matrix.js';
+import {Gltf2Node} from './render/nodes/gltf2.js';
+import {SelectionRingNode} from './render/nodes/selection-ring.js';
+import {ShadowCatcherNode} from './render/nodes/shadow-catcher.js';
+
+const DEFAULT_MAX_OBJECTS = 5;
+
+// How quickly adjustments catch up with their targets, per millisecond.
+const ADJUSTMENT_SMOOTHING = 0.015;
+
+let tmpMatrix = mat4.create();
+
+// Offset, rotation around |axis| and uniform scale applied on top of the
+// anchored pose. Gestures set the targets and the node eases towards them
+// every frame.
+class AdjustmentNode extends Node {
+  constructor(axis, rotation, scale) {
+    super();
+
+    this.axis = axis;
+    this.offset = vec3.create();
+    this.targetOffset = vec3.create();
+    this.yaw = rotation;
+    this.targetYaw = rotation;
+    this.uniformScale = scale;
+    this.targetScale = scale;
+
+    this._applyAdjustments();
+  }
+
+  // Moves |offset| (in the anchor's space) from the adjustment into the
+  // anchor itself, once the object has been re-anchored there.
+  rebase(offset) {
+    vec3.subtract(this.offset, this.offset, offset);
+    vec3.subtract(this.targetOffset, this.targetOffset, offset);
+    this._applyAdjustments();
+  }
+
+  onUpdate(timestamp, frameDelta) {
+    let t = 1.0 - Math.exp(-frameDelta * ADJUSTMENT_SMOOTHING);
+    vec3.lerp(this.offset, this.offset, this.targetOffset, t);
+    this.yaw += (this.targetYaw - this.yaw) * t;
+    this.uniformScale += (this.targetScale - this.uniformScale) * t;
+
+    this._applyAdjustments();
+  }
+
+  _applyAdjustments() {
+    vec3.copy(this.translation, this.offset);
+    quat.setAxisAngle(this.rotation, this.axis, this.yaw);
+    vec3.set(this.scale, this.uniformScale, this.uniformScale, this.uniformScale);
+  }
+}
+
+export class PlacedObject {
+  constructor(placement) {
+    this.placement = {
+      model: placement.model,
+      variant: placement.variant || null,
+      scale: placement.scale || 1,
+      rotation: placement.rotation || 0,
+      // 'floor', 'wall' or 'ceiling'.
+      surface: placement.surface || 'floor',
+    };
+
+    this.node = new Node();
+
+    let onWall = this.placement.surface == 'wall';
+    this.content = new AdjustmentNode(onWall ? [0, 0, 1] : [0, 1, 0],
+                                      this.placement.rotation, this.placement.scale);
+    this.node.addNode(this.content);
+
+    // Holds the nodes that lie flat on the surface, turned onto the wall's
+    // plane for wall placements.
+    this.surface = new Node();
+    if (onWall) {
+      quat.setAxisAngle(this.surface.rotation, [1, 0, 0], Math.PI * 0.5);
+    }
+    this.content.addNode(this.surface);
+
+    this.model = new Gltf2Node({url: placement.model});
+    this.model.selectable = true;
+    if (this.placement.variant) {
+      this.model.selectVariant(this.placement.variant);
+    }
+    this.content.addNode(this.model);
+
+    // Invisible plane that receives the model's real shadow on the surface.
+    this.shadow = new ShadowCatcherNode({radius: 0.4});
+    this.surface.addNode(this.shadow);
+
+    this.anchor = null;
+    // Persistent anchor handle, if the anchor has been persisted.
+    this.handle = null;
+  }
+
+  // World space position the object is heading to, including any offset
+  // still being animated.
+  getTargetPosition(out) {
+    return vec3.transformMat4(out, this.content.targetOffset, this.node.matrix);
+  }
+}
+
+export class PlacementManager {
+  constructor(scene, options = {}) {
+    this._scene = scene;
+    this.maxObjects = options.maxObjects || DEFAULT_MAX_OBJECTS;
+    this._anchorStore = options.anchorStore || null;
+
+    // The current XRSession, needed to restore and delete persistent anchors.
+    this.session = null;
+
+    this._objects = [];
+    this._selected = null;
+    this._selectionRing = new SelectionRingNode();
+    this._events = new EventTarget();
+  }
+
+  get objects() {
+    return this._objects.slice();
+  }
+
+  get selected() {
+    return this._selected;
+  }
+
+  get isFull() {
+    return this._objects.length >= this.maxObjects;
+  }
+
+  // Adds the object described by |placement| ({model, variant, scale, surface}) to the
+  // scene, posed by |matrix| if given, and selects it. Returns null when the
+  // maximum number of objects has already been placed.
+  add(placement, matrix = null) {
+    if (this.isFull) {
+      return null;
+    }
+
+    let object = new PlacedObject(placement);
+    if (matrix) {
+      object.node.matrix = matrix;
+    }
+
+    this._objects.push(object);
+    this._scene.addNode(object.node);
+    this._dispatch('add', object);
+    this.select(object);
+
+    return object;
+  }
+
+  // Anchors |object| to the real world at |transform| so it doesn't drift as
+  // tracking is refined. Without anchor support it stays at its initial pose.
+  anchor(object, transform, frame, refSpace) {
+    if (!frame.createAnchor) {
+      return Promise.resolve(null);
+    }
+
+    return frame.createAnchor(transform, refSpace).then((anchor) => {
+      if (!this._objects.includes(object)) {
+        // The object was removed before the anchor was ready.
+        anchor.delete();
+        return null;
+      }
+      object.anchor = anchor;
+      this._persistAnchor(object);
+      return anchor;
+    }).catch((err) => {
+      console.warn('Unable to create anchor, the object will stay at its initial pose', err);
+      return null;
+    });
+  }
+
+  // Recreates the placements saved in the anchor store, up to the maximum
+  // object count. Restored objects stay hidden until their anchor is tracked.
+  restore() {
+    let session = this.session;
+    if (!this._anchorStore || !session || !session.restorePersistentAnchor) {
+      return Promise.resolve([]);
+    }
+
+    let placements = this._anchorStore.placements.slice(-this.maxObjects);
+    return Promise.all(placements.map((placement) => {
+      return session.restorePersistentAnchor(placement.handle).then((anchor) => {
+        let object = session == this.session ? this.add(placement) : null;
+        if (!object) {
+          anchor.delete();
+          return null;
+        }
+        object.node.visible = false;
+        object.anchor = anchor;
+        object.handle = placement.handle;
+        return object;
+      }).catch((err) => {
+        console.warn('Unable to restore persistent anchor', err);
+        this._forgetHandle(placement.handle);
+        return null;
+      });
+    })).then((objects) => objects.filter((object) => object));
+  }
+
+  select(object) {
+    if (object == this._selected) {
+      return;
+    }
+
+    this._selected = object;
+    if (object) {
+      object.surface.addNode(this._selectionRing);
+    } else if (this._selectionRing.parent) {
+      this._selectionRing.parent.removeNode(this._selectionRing);
+    }
+    this._dispatch('selectionchange', object);
+  }
+
+  // Returns the placed object hit by the ray described by |rigidTransform|,
+  // if any.
+  objectAt(rigidTransform) {
+    let hitResult = this._scene.hitTest(rigidTransform);
+    if (!hitResult) {
+      return null;
+    }
+    return this._objects.find((object) => object.model == hitResult.node) || null;
+  }
+
+  setVariant(object, variant) {
+    object.model.selectVariant(variant);
+    object.placement.variant = variant;
+    if (this._anchorStore && object.handle) {
+      this._anchorStore.update(object.handle, {variant: variant});
+    }
+  }
+
+  // Slides |object| towards the world space |position| without re-anchoring
+  // it. Call commitMove() once the gesture ends.
+  moveTo(object, position) {
+    mat4.invert(tmpMatrix, object.node.matrix);
+    vec3.transformMat4(object.content.targetOffset, position, tmpMatrix);
+  }
+
+  // Anchors |object| at the position it was moved to, so the anchor stays
+  // close to the object. The offset is folded into the new anchor once it's
+  // created, which keeps the object from jumping.
+  commitMove(object, frame, refSpace) {
+    let offset = vec3.clone(object.content.targetOffset);
+    let matrix = mat4.create();
+    mat4.translate(matrix, object.node.matrix, offset);
+
+    if (!object.anchor || !frame.createAnchor) {
+      object.node.matrix = matrix;
+      object.content.rebase(offset);
+      return Promise.resolve(null);
+    }
+
+    let position = mat4.getTranslation(vec3.create(), matrix);
+    let orientation = mat4.getRotation(quat.create(), matrix);
+    let transform = new XRRigidTransform(
+        {x: position[0], y: position[1], z: position[2]},
+        {x: orientation[0], y: orientation[1], z: orientation[2], w: orientation[3]});
+
+    let previousAnchor = object.anchor;
+    return frame.createAnchor(transform, refSpace).then((anchor) => {
+      if (!this._objects.includes(object) || object.anchor != previousAnchor) {
+        anchor.delete();
+        return null;
+      }
+
+      previousAnchor.delete();
+      if (object.handle) {
+        this._forgetHandle(object.handle);
+        object.handle = null;
+      }
+
+      object.anchor = anchor;
+      object.node.matrix = matrix;
+      object.content.rebase(offset);
+      this._persistAnchor(object);
+      return anchor;
+    }).catch((err) => {
+      console.warn('Unable to re-anchor moved object', err);
+      return null;
+    });
+  }
+
+  // Records the rotation and scale set with gestures so they're restored
+  // along with the anchor.
+  saveAdjustments(object) {
+    object.placement.rotation = object.content.targetYaw;
+    object.placement.scale = object.content.targetScale;
+    if (this._anchorStore && object.handle) {
+      this._anchorStore.update(object.handle, {
+        rotation: object.placement.rotation,
+        scale: object.placement.scale,
+      });
+    }
+  }
+
+  // Removes |object| from the scene. When |forget| is true its saved placement
+  // is deleted too, so it won't be restored on the next visit.
+  remove(object, forget = true) {
+    let index = this._objects.indexOf(object);
+    if (index == -1) {
+      return;
+    }
+
+    this._objects.splice(index, 1);
+    if (forget && object.handle) {
+      this._forgetHandle(object.handle);
+    }
+    if (object.anchor) {
+      object.anchor.delete();
+      object.anchor = null;
+    }
+    this._scene.removeNode(object.node);
+
+    if (object == this._selected) {
+      this.select(null);
+    }
+    this._dispatch('remove', object);
+  }
+
+  clear(forget = true) {
+    for (let object of this.objects) {
+      this.remove(object, forget);
+    }
+  }
+
+  // Follows the pose of every anchored object, hiding the ones whose anchor
+  // isn't currently tracked. Returns false if any of them lost tracking.
+  update(frame, refSpace) {
+    let allTracked = true;
+    for (let object of this._objects) {
+      if (!object.anchor) {
+        continue;
+      }
+
+      let anchorPose = frame.trackedAnchors.has(object.anchor) ?
+          frame.getPose(object.anchor.anchorSpace, refSpace) : null;
+
+      if (anchorPose) {
+        object.node.matrix = anchorPose.transform.matrix;
+        object.node.visible = true;
+      } else {
+        object.node.visible = false;
+        allTracked = false;
+      }
+    }
+    return allTracked;
+  }
+
+  addEventListener(type, listener) {
+    this._events.addEventListener(type, listener);
+  }
+
+  removeEventListener(type, listener) {
+    this._events.removeEventListener(type, listener);
+  }
+
+  _dispatch(type, object) {
+    this._events.dispatchEvent(new CustomEvent(type, {detail: {object: object}}));
+  }
+
+  _persistAnchor(object) {
+    if (!this._anchorStore || !object.anchor.requestPersistentHandle) {
+      return;
+    }
+
+    let anchor = object.anchor;
+    anchor.requestPersistentHandle().then((handle) => {
+      if (anchor != object.anchor) {
+        return;
+      }
+      object.handle = handle;
+      this._anchorStore.add(Object.assign({handle: handle}, object.placement));
+    }).catch((err) => {
+      console.warn('Unable to persist anchor', err);
+    });
+  }
+
+  _forgetHandle(handle) {
+    this._anchorStore.remove(handle);
+    if (this.session && this.session.deletePersistentAnchor) {
+      this.session.deletePersistentAnchor(handle).catch(() => {});
+    }
+  }
+}
@@ -0,0 +1,316 @@
+/*
+Keyframe animation support for glTF 2.0 clips.
+
+An AnimationClip is a named set of channels, each of which drives one property
+(translation, rotation, scale or morph target weights) of a single node from an AnimationSampler.
+Playback is handled by an AnimationMixer, which advances any number of active
+clips and blends their results together so that clips can be crossfaded.
+*/
+
+import {quat, vec3} from '../math/gl-matrix.js';
+
+const tmpValueA = new Float32Array(4);
+const tmpValueB = new Float32Array(4);
+
+export class AnimationSampler {
+  constructor(interpolation = 'LINEAR') {
+    this.interpolation = interpolation;
+    // Keyframe times in seconds, and the packed output values for each key.
+    this.input = null;
+    this.output = null;
+  }
+
+  get duration() {
+    return this.input && this.input.length ? this.input[this.input.length - 1] : 0;
+  }
+
+  // Number of components in a single output value.
+  get componentCount() {
+    let valuesPerKey = this.interpolation == 'CUBICSPLINE' ? 3 : 1;
+    return this.output.length / (this.input.length * valuesPerKey);
+  }
+
+  // Writes the value at |time| into |out|. Rotations are treated as
+  // quaternions and are slerped and normalized rather than lerped.
+  sample(time, out, isRotation = false) {
+    let input = this.input;
+    let count = this.componentCount;
+    let last = input.length - 1;
+
+    if (time <= input[0] || last == 0) {
+      return this._copyKey(out, 0, count);
+    }
+    if (time >= input[last]) {
+      return this._copyKey(out, last, count);
+    }
+
+    // Binary search for the key preceding |time|.
+    let lo = 0;
+    let hi = last;
+    while (hi - lo > 1) {
+      let mid = (lo + hi) >> 1;
+      if (input[mid] <= time) {
+        lo = mid;
+      } else {
+        hi = mid;
+      }
+    }
+
+    let keyDelta = input[hi] - input[lo];
+    let t = (time - input[lo]) / keyDelta;
+
+    switch (this.interpolation) {
+      case 'STEP':
+        return this._copyKey(out, lo, count);
+
+      case 'CUBICSPLINE':
+        this._cubicSpline(out, lo, hi, t, keyDelta, count);
+        if (isRotation) {
+          quat.normalize(out, out);
+        }
+        return out;
+
+      default: // 'LINEAR'
+        if (isRotation) {
+          this._copyKey(tmpValueA, lo, count);
+          this._copyKey(tmpValueB, hi, count);
+          return quat.slerp(out, tmpValueA, tmpValueB, t);
+        }
+        for (let c = 0; c < count; ++c) {
+          let a = this.output[lo * count + c];
+          let b = this.output[hi * count + c];
+          out[c] = a + (b - a) * t;
+        }
+        return out;
+    }
+  }
+
+  _copyKey(out, key, count) {
+    // Cubic spline keys are stored as [inTangent, value, outTangent].
+    let offset = this.interpolation == 'CUBICSPLINE' ? (key * 3 + 1) * count : key * count;
+    for (let c = 0; c < count; ++c) {
+      out[c] = this.output[offset + c];
+    }
+    return out;
+  }
+
+  _cubicSpline(out, lo, hi, t, keyDelta, count) {
+    let t2 = t * t;
+    let t3 = t2 * t;
+    let p0Weight = 2 * t3 - 3 * t2 + 1;
+    let m0Weight = (t3 - 2 * t2 + t) * keyDelta;
+    let p1Weight = -2 * t3 + 3 * t2;
+    let m1Weight = (t3 - t2) * keyDelta;
+
+    let stride = count * 3;
+    for (let c = 0; c < count; ++c) {
+      let p0 = this.output[lo * stride + count + c];
+      let m0 = this.output[lo * stride + count * 2 + c]; // Out tangent of lo
+      let p1 = this.output[hi * stride + count + c];
+      let m1 = this.output[hi * stride + c]; // In tangent of hi
+      out[c] = p0Weight * p0 + m0Weight * m0 + p1Weight * p1 + m1Weight * m1;
+    }
+    return out;
+  }
+}
+
+export class AnimationChannel {
+  constructor(node, path, sampler) {
+    this.node = node;
+    this.path = path;
+    this.sampler = sampler;
+  }
+}
+
+export class AnimationClip {
+  constructor(name, channels = []) {
+    this.name = name;
+    this.channels = channels;
+  }
+
+  // Length of the clip in seconds. Only valid once the sampler data is loaded.
+  get duration() {
+    let duration = 0;
+    for (let channel of this.channels) {
+      if (channel.sampler.input) {
+        duration = Math.max(duration, channel.sampler.duration);
+      }
+    }
+    return duration;
+  }
+}
+
+class AnimationAction {
+  constructor(clip, options) {
+    this.clip = clip;
+    this.loop = 'loop' in options ? options.loop : true;
+    this.speed = 'speed' in options ? options.speed : 1.0;
+    this.time = 0;
+    this.weight = 1.0;
+    this.fadeRate = 0; // Change in weight per second.
+    this.finished = false;
+  }
+}
+
+export class AnimationMixer {
+  constructor() {
+    this._actions = [];
+    // Per-node accumulation of the blended values for the current update.
+    this._blended = new Map();
+
+    // Called with the clip whenever a non-looping clip reaches its end.
+    this.onFinished = null;
+  }
+
+  get actions() {
+    return this._actions;
+  }
+
+  // Starts |clip| from the beginning. If |fadeDuration| is non-zero the clips
+  // that are currently playing are faded out while |clip| is faded in.
+  play(clip, options = {}, fadeDuration = 0) {
+    let action = new AnimationAction(clip, options);
+
+    if (fadeDuration > 0 && this._actions.length) {
+      for (let other of this._actions) {
+        other.fadeRate = -other.weight / fadeDuration;
+      }
+      action.weight = 0;
+      action.fadeRate = 1.0 / fadeDuration;
+    } else {
+      this._actions = [];
+    }
+
+    this._actions.push(action);
+    return action;
+  }
+
+  // Halts all playback, leaving the nodes in their current pose.
+  stop() {
+    this._actions = [];
+  }
+
+  // Advances all active clips by |delta| seconds and applies the result.
+  update(delta) {
+    if (!this._actions.length) {
+      return;
+    }
+
+    for (let action of this._actions) {
+      let duration = action.clip.duration;
+      action.time += delta * action.speed;
+
+      if (duration > 0) {
+        if (action.loop) {
+          action.time %= duration;
+          if (action.time < 0) {
+            action.time += duration;
+          }
+        } else if (action.time >= duration || action.time < 0) {
+          action.time = Math.min(Math.max(action.time, 0), duration);
+          if (!action.finished) {
+            action.finished = true;
+            if (this.onFinished) {
+              this.onFinished(action.clip);
+            }
+          }
+        }
+      }
+
+      if (action.fadeRate) {
+        action.weight = Math.min(Math.max(action.weight + action.fadeRate * delta, 0), 1);
+        if (action.weight == 1) {
+          action.fadeRate = 0;
+        }
+      }
+    }
+
+    // Drop any clips that have completely faded out.
+    this._actions = this._actions.filter((action) => action.weight > 0 || action.fadeRate > 0);
+
+    this._blend();
+  }
+
+  _blend() {
+    for (let targets of this._blended.values()) {
+      for (let path in targets) {
+        targets[path].weight = 0;
+      }
+    }
+
+    for (let action of this._actions) {
+      if (action.weight <= 0) {
+        continue;
+      }
+
+      for (let channel of action.clip.channels) {
+        if (!channel.sampler.input) {
+          continue; // Data not loaded yet.
+        }
+
+        let targets = this._blended.get(channel.node);
+        if (!targets) {
+          targets = {};
+          this._blended.set(channel.node, targets);
+        }
+
+        let target = targets[channel.path];
+        if (!target) {
+          let componentCount = channel.sampler.componentCount;
+          target = {
+            value: new Float32Array(componentCount),
+            sample: new Float32Array(componentCount),
+            weight: 0,
+          };
+          targets[channel.path] = target;
+        }
+
+        let isRotation = channel.path == 'rotation';
+        if (target.weight == 0) {
+          channel.sampler.sample(action.time, target.value, isRotation);
+        } else {
+          // Blend incrementally so any number of clips average correctly.
+          let sample = channel.sampler.sample(action.time, target.sample, isRotation);
+          let t = action.weight / (target.weight + action.weight);
+          if (isRotation) {
+            quat.slerp(target.value, target.value, sample, t);
+          } else {
+            for (let c = 0; c < target.value.length; ++c) {
+              target.value[c] += (sample[c] - target.value[c]) * t;
+            }
+          }
+        }
+        target.weight += action.weight;
+      }
+    }
+
+    for (let [node, targets] of this._blended) {
+      for (let path in targets) {
+        let target = targets[path];
+        if (target.weight == 0) {
+          continue;
+        }
+
+        switch (path) {
+          case 'translation':
+            vec3.copy(node.translation, target.value);
+            break;
+          case 'rotation':
+            quat.normalize(node.rotation, target.value);
+            break;
+          case 'scale':
+            vec3.copy(node.scale, target.value);
+            break;
+          case 'weights':
+            if (node.morphWeights) {
+              let count = Math.min(node.morphWeights.length, target.value.length);
+              for (let i = 0; i < count; ++i) {
+                node.morphWeights[i] = target.value[i];
+              }
+            }
+            break;
+        }
+      }
+    }
+  }
+}
@@ -0,0 +1,493 @@
+/*
+Image based lighting support.
+
+An environment image, either a single equirectangular image or six cube faces,
+is processed into:
+ - A cubemap whose mip levels hold the environment prefiltered with the GGX
+   distribution for increasing roughness, used for specular reflections.
+ - Nine spherical harmonics coefficients describing the diffuse irradiance.
+The split-sum BRDF lookup table used alongside the prefiltered cubemap doesn't
+depend on the environment, so it's built once on the CPU.
+*/
+
+import {Program} from './program.js';
+
+// Size of the cubemap the source image is resampled into before filtering.
+const ENV_SOURCE_SIZE = 256;
+
+// Size of the base level of the prefiltered specular cubemap, and the number
+// of mip levels used to go from fully smooth to fully rough.
+export const ENV_SPECULAR_SIZE = 128;
+export const ENV_SPECULAR_MIP_COUNT = 6;
+
+const ENV_SAMPLE_COUNT = 64;
+
+const BRDF_LUT_SIZE = 32;
+const BRDF_SAMPLE_COUNT = 128;
+
+// Resolution the source is reduced to before projecting it onto spherical
+// harmonics. Irradiance is very low frequency so this can be tiny.
+const SH_EQUIRECT_WIDTH = 64;
+const SH_FACE_SIZE = 16;
+
+// Cosine lobe convolution factors for SH bands 0, 1 and 2, which turn radiance
+// coefficients into irradiance coefficients.
+const SH_BAND_FACTORS = [Math.PI, 2.0 * Math.PI / 3.0, Math.PI / 4.0];
+
+const FULLSCREEN_VERTEX_SOURCE = `
+in vec2 POSITION;
+
+void main() {
+  gl_Position = vec4(POSITION, 0.0, 1.0);
+}`;
+
+// Direction through the current fragment of the cubemap face being rendered,
+// following the GL cubemap face conventions.
+const CUBE_FACE_DIRECTION = `
+uniform int FACE;
+uniform vec2 FACE_SIZE;
+
+vec3 faceDirection() {
+  vec2 uv = (gl_FragCoord.xy / FACE_SIZE) * 2.0 - 1.0;
+  vec3 dir;
+  if (FACE == 0) { dir = vec3(1.0, -uv.y, -uv.x); }
+  else if (FACE == 1) { dir = vec3(-1.0, -uv.y, uv.x); }
+  else if (FACE == 2) { dir = vec3(uv.x, 1.0, uv.y); }
+  else if (FACE == 3) { dir = vec3(uv.x, -1.0, -uv.y); }
+  else if (FACE == 4) { dir = vec3(uv.x, -uv.y, 1.0); }
+  else { dir = vec3(-uv.x, -uv.y, -1.0); }
+  return normalize(dir);
+}`;
+
+const EQUIRECT_TO_CUBE_FRAGMENT_SOURCE = `
+precision highp float;
+#define M_PI 3.14159265
+
+uniform sampler2D SOURCE;
+out vec4 color;
+
+${CUBE_FACE_DIRECTION}
+
+void main() {
+  vec3 dir = faceDirection();
+  vec2 uv = vec2(atan(dir.x, -dir.z) / (2.0 * M_PI) + 0.5, acos(clamp(dir.y, -1.0, 1.0)) / M_PI);
+  color = vec4(texture(SOURCE, uv).rgb, 1.0);
+}`;
+
+// GGX importance sampling with filtered lookups, as described in "Real Shading
+// in Unreal Engine 4" and GPU Gems 3, chapter 20.
+const PREFILTER_FRAGMENT_SOURCE = `
+precision highp float;
+#define M_PI 3.14159265
+
+uniform samplerCube SOURCE;
+uniform float SOURCE_SIZE;
+uniform float ROUGHNESS;
+out vec4 color;
+
+${CUBE_FACE_DIRECTION}
+
+vec2 hammersley(int i, int count) {
+  uint bits = uint(i);
+  bits = (bits << 16u) | (bits >> 16u);
+  bits = ((bits & 0x55555555u) << 1u) | ((bits & 0xAAAAAAAAu) >> 1u);
+  bits = ((bits & 0x33333333u) << 2u) | ((bits & 0xCCCCCCCCu) >> 2u);
+  bits = ((bits & 0x0F0F0F0Fu) << 4u) | ((bits & 0xF0F0F0F0u) >> 4u);
+  bits = ((bits & 0x00FF00FFu) << 8u) | ((bits & 0xFF00FF00u) >> 8u);
+  return vec2(float(i) / float(count), float(bits) * 2.3283064365386963e-10);
+}
+
+void main() {
+  vec3 n = faceDirection();
+  vec3 up = abs(n.y) < 0.999 ? vec3(0.0, 1.0, 0.0) : vec3(1.0, 0.0, 0.0);
+  vec3 tangentX = normalize(cross(up, n));
+  vec3 tangentY = cross(n, tangentX);
+
+  float a = ROUGHNESS * ROUGHNESS;
+  float aSqr = a * a;
+  float texelSolidAngle = 4.0 * M_PI / (6.0 * SOURCE_SIZE * SOURCE_SIZE);
+
+  vec3 sum = vec3(0.0);
+  float weight = 0.0;
+  for (int i = 0; i < SAMPLE_COUNT; ++i) {
+    vec2 xi = hammersley(i, SAMPLE_COUNT);
+    float phi = 2.0 * M_PI * xi.x;
+    float cosTheta = sqrt((1.0 - xi.y) / (1.0 + (aSqr - 1.0) * xi.y));
+    float sinTheta = sqrt(1.0 - cosTheta * cosTheta);
+    vec3 h = tangentX * (sinTheta * cos(phi)) + tangentY * (sinTheta * sin(phi)) + n * cosTheta;
+    vec3 l = 2.0 * dot(n, h) * h - n;
+
+    float nDotL = dot(n, l);
+    if (nDotL > 0.0) {
+      // Sample from a blurrier mip for low probability directions to avoid
+      // the noise a fixed number of samples would otherwise produce.
+      float nDotH = max(cosTheta, 0.0);
+      float f = (nDotH * nDotH) * (aSqr - 1.0) + 1.0;
+      float pdf = aSqr / (M_PI * f * f) * 0.25;
+      float sampleSolidAngle = 1.0 / (float(SAMPLE_COUNT) * pdf + 0.0001);
+      float lod = ROUGHNESS == 0.0 ? 0.0 : 0.5 * log2(sampleSolidAngle / texelSolidAngle) + 1.0;
+
+      sum += textureLod(SOURCE, l, max(lod, 0.0)).rgb * nDotL;
+      weight += nDotL;
+    }
+  }
+
+  color = vec4(sum / max(weight, 0.0001), 1.0);
+}`;
+
+// Default decoding for the 8 bit channels of environment images.
+function srgbToLinear(value) {
+  let c = value / 255;
+  return c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+}
+
+function radicalInverse(i) {
+  let bits = i;
+  bits = ((bits << 16) | (bits >>> 16)) >>> 0;
+  bits = (((bits & 0x55555555) << 1) | ((bits & 0xAAAAAAAA) >>> 1)) >>> 0;
+  bits = (((bits & 0x33333333) << 2) | ((bits & 0xCCCCCCCC) >>> 2)) >>> 0;
+  bits = (((bits & 0x0F0F0F0F) << 4) | ((bits & 0xF0F0F0F0) >>> 4)) >>> 0;
+  bits = (((bits & 0x00FF00FF) << 8) | ((bits & 0xFF00FF00) >>> 8)) >>> 0;
+  return bits * 2.3283064365386963e-10;
+}
+
+// Builds the split-sum BRDF lookup table, indexed by N.V along the width and
+// roughness along the height. Red holds the scale applied to F0 and green the
+// bias added to it.
+export function generateBrdfLut(size = BRDF_LUT_SIZE, sampleCount = BRDF_SAMPLE_COUNT) {
+  let data = new Uint8Array(size * size * 4);
+
+  for (let y = 0; y < size; ++y) {
+    let roughness = (y + 0.5) / size;
+    let a = roughness * roughness;
+    let aSqr = a * a;
+    // Schlick-GGX geometry term remapping for image based lighting.
+    let k = a / 2.0;
+
+    for (let x = 0; x < size; ++x) {
+      let nDotV = (x + 0.5) / size;
+      let vx = Math.sqrt(1.0 - nDotV * nDotV);
+      let vz = nDotV;
+
+      let scale = 0;
+      let bias = 0;
+      for (let i = 0; i < sampleCount; ++i) {
+        let phi = 2.0 * Math.PI * (i / sampleCount);
+        let xi = radicalInverse(i);
+        let cosTheta = Math.sqrt((1.0 - xi) / (1.0 + (aSqr - 1.0) * xi));
+        let sinTheta = Math.sqrt(1.0 - cosTheta * cosTheta);
+        let hx = sinTheta * Math.cos(phi);
+        let hz = cosTheta;
+
+        let vDotH = vx * hx + vz * hz;
+        let nDotL = 2.0 * vDotH * hz - vz;
+        if (nDotL <= 0) {
+          continue;
+        }
+
+        let nDotH = Math.max(hz, 0);
+        vDotH = Math.max(vDotH, 0);
+        let g = (nDotL / (nDotL * (1.0 - k) + k)) * (nDotV / (nDotV * (1.0 - k) + k));
+        let gVis = g * vDotH / (nDotH * nDotV);
+        let fc = Math.pow(1.0 - vDotH, 5.0);
+        scale += (1.0 - fc) * gVis;
+        bias += fc * gVis;
+      }
+
+      let offset = (y * size + x) * 4;
+      data[offset] = Math.min(255, Math.round(scale / sampleCount * 255));
+      data[offset + 1] = Math.min(255, Math.round(bias / sampleCount * 255));
+      data[offset + 2] = 0;
+      data[offset + 3] = 255;
+    }
+  }
+
+  return data;
+}
+
+// Direction through |u|, |v| (both in [-1, 1]) on the given cubemap face,
+// matching faceDirection() in the shaders above. Not normalized.
+function faceDirection(face, u, v, out) {
+  switch (face) {
+    case 0: out[0] = 1; out[1] = -v; out[2] = -u; break;
+    case 1: out[0] = -1; out[1] = -v; out[2] = u; break;
+    case 2: out[0] = u; out[1] = 1; out[2] = v; break;
+    case 3: out[0] = u; out[1] = -1; out[2] = -v; break;
+    case 4: out[0] = u; out[1] = -v; out[2] = 1; break;
+    default: out[0] = -u; out[1] = -v; out[2] = -1; break;
+  }
+  return out;
+}
+
+function addSHSample(sh, x, y, z, r, g, b, weight) {
+  let basis = [
+    0.282095,
+    0.488603 * y,
+    0.488603 * z,
+    0.488603 * x,
+    1.092548 * x * y,
+    1.092548 * y * z,
+    0.315392 * (3.0 * z * z - 1.0),
+    1.092548 * x * z,
+    0.546274 * (x * x - y * y),
+  ];
+  for (let i = 0; i < 9; ++i) {
+    let w = basis[i] * weight;
+    sh[i * 3] += r * w;
+    sh[i * 3 + 1] += g * w;
+    sh[i * 3 + 2] += b * w;
+  }
+}
+
+// Convolves nine RGB radiance coefficients with the cosine lobe, in place,
+// turning them into the irradiance coefficients evaluateSH() expects.
+export function convolveSH(sh) {
+  for (let i = 0; i < 9; ++i) {
+    let band = i == 0 ? 0 : (i < 4 ? 1 : 2);
+    for (let c = 0; c < 3; ++c) {
+      sh[i * 3 + c] *= SH_BAND_FACTORS[band];
+    }
+  }
+  return sh;
+}
+
+// Projects an equirectangular RGBA8 image onto irradiance spherical harmonics.
+// |decode| converts each 0-255 channel value into linear radiance, and treats
+// them as sRGB encoded by default.
+export function equirectToSH(pixels, width, height, decode = srgbToLinear) {
+  let sh = new Float32Array(27);
+  for (let j = 0; j < height; ++j) {
+    let theta = (j + 0.5) / height * Math.PI;
+    let sinTheta = Math.sin(theta);
+    let y = Math.cos(theta);
+    let weight = (2.0 * Math.PI / width) * (Math.PI / height) * sinTheta;
+
+    for (let i = 0; i < width; ++i) {
+      let phi = ((i + 0.5) / width - 0.5) * 2.0 * Math.PI;
+      let x = sinTheta * Math.sin(phi);
+      let z = -sinTheta * Math.cos(phi);
+
+      let offset = (j * width + i) * 4;
+      addSHSample(sh, x, y, z,
+          decode(pixels[offset]), decode(pixels[offset + 1]), decode(pixels[offset + 2]), weight);
+    }
+  }
+  return convolveSH(sh);
+}
+
+// Projects six square RGBA8 cube faces, in +X, -X, +Y, -Y, +Z, -Z order, onto
+// irradiance spherical harmonics.
+export function cubeFacesToSH(faces, size, decode = srgbToLinear) {
+  let sh = new Float32Array(27);
+  let dir = new Float32Array(3);
+  let texelArea = (2.0 / size) * (2.0 / size);
+
+  for (let face = 0; face < 6; ++face) {
+    let pixels = faces[face];
+    for (let j = 0; j < size; ++j) {
+      let v = (j + 0.5) / size * 2.0 - 1.0;
+      for (let i = 0; i < size; ++i) {
+        let u = (i + 0.5) / size * 2.0 - 1.0;
+        faceDirection(face, u, v, dir);
+        let lengthSqr = dir[0] * dir[0] + dir[1] * dir[1] + dir[2] * dir[2];
+        let length = Math.sqrt(lengthSqr);
+        let weight = texelArea / (lengthSqr * length);
+
+        let offset = (j * size + i) * 4;
+        addSHSample(sh, dir[0] / length, dir[1] / length, dir[2] / length,
+            decode(pixels[offset]), decode(pixels[offset + 1]), decode(pixels[offset + 2]), weight);
+      }
+    }
+  }
+  return convolveSH(sh);
+}
+
+function getImagePixels(source, width, height) {
+  let canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  let ctx = canvas.getContext('2d');
+  ctx.drawImage(source, 0, 0, width, height);
+  return ctx.getImageData(0, 0, width, height).data;
+}
+
+// Turns loaded ImageTextures into prefiltered GPU textures and irradiance
+// spherical harmonics. Owns the programs and buffers used for filtering so
+// they can be reused by later environment maps.
+export class EnvironmentMapProcessor {
+  constructor(gl) {
+    this._gl = gl;
+    this._quadBuffer = null;
+    this._equirectProgram = null;
+    this._prefilterProgram = null;
+  }
+
+  // |source| is an equirectangular ImageTexture or an array of six cube face
+  // ImageTextures. Returns {texture, mipCount, sh}.
+  process(source) {
+    let gl = this._gl;
+    let isCube = Array.isArray(source);
+    if (isCube && source.length != 6) {
+      throw new Error('Cubemap environment maps must have exactly six faces');
+    }
+
+    let prevFramebuffer = gl.getParameter(gl.FRAMEBUFFER_BINDING);
+    let prevViewport = gl.getParameter(gl.VIEWPORT);
+
+    gl.disable(gl.BLEND);
+    gl.disable(gl.DEPTH_TEST);
+    gl.disable(gl.CULL_FACE);
+    this._bindQuad();
+
+    let sourceCube = isCube ? this._uploadCubeFaces(source) : this._equirectToCube(source);
+    let texture = this._prefilter(sourceCube.texture, sourceCube.size);
+    gl.deleteTexture(sourceCube.texture);
+
+    gl.bindFramebuffer(gl.FRAMEBUFFER, prevFramebuffer);
+    gl.viewport(prevViewport[0], prevViewport[1], prevViewport[2], prevViewport[3]);
+
+    let sh;
+    if (isCube) {
+      let faces = source.map((face) => getImagePixels(face.source, SH_FACE_SIZE, SH_FACE_SIZE));
+      sh = cubeFacesToSH(faces, SH_FACE_SIZE);
+    } else {
+      let width = SH_EQUIRECT_WIDTH;
+      let height = SH_EQUIRECT_WIDTH / 2;
+      sh = equirectToSH(getImagePixels(source.source, width, height), width, height);
+    }
+
+    return {texture, mipCount: ENV_SPECULAR_MIP_COUNT, sh};
+  }
+
+  createBrdfLut() {
+    let gl = this._gl;
+    let texture = gl.createTexture();
+    gl.bindTexture(gl.TEXTURE_2D, texture);
+    gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, BRDF_LUT_SIZE, BRDF_LUT_SIZE, 0,
+        gl.RGBA, gl.UNSIGNED_BYTE, generateBrdfLut());
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+    return texture;
+  }
+
+  _bindQuad() {
+    let gl = this._gl;
+    if (!this._quadBuffer) {
+      this._quadBuffer = gl.createBuffer();
+      gl.bindBuffer(gl.ARRAY_BUFFER, this._quadBuffer);
+      gl.bufferData(gl.ARRAY_BUFFER, new Float32Array([-1, -1, 1, -1, -1, 1, 1, 1]), gl.STATIC_DRAW);
+    } else {
+      gl.bindBuffer(gl.ARRAY_BUFFER, this._quadBuffer);
+    }
+    gl.enableVertexAttribArray(0);
+    gl.vertexAttribPointer(0, 2, gl.FLOAT, false, 8, 0);
+  }
+
+  _createCubemap(size, levels) {
+    let gl = this._gl;
+    let texture = gl.createTexture();
+    gl.bindTexture(gl.TEXTURE_CUBE_MAP, texture);
+    // sRGB storage keeps precision in the darks, and is decoded when sampled
+    // and encoded when rendered to so filtering happens in linear space.
+    gl.texStorage2D(gl.TEXTURE_CUBE_MAP, levels, gl.SRGB8_ALPHA8, size, size);
+    gl.texParameteri(gl.TEXTURE_CUBE_MAP, gl.TEXTURE_MIN_FILTER, gl.LINEAR_MIPMAP_LINEAR);
+    gl.texParameteri(gl.TEXTURE_CUBE_MAP, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+    gl.texParameteri(gl.TEXTURE_CUBE_MAP, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+    gl.texParameteri(gl.TEXTURE_CUBE_MAP, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+    gl.texParameteri(gl.TEXTURE_CUBE_MAP, gl.TEXTURE_MAX_LEVEL, levels - 1);
+    return texture;
+  }
+
+  // Draws a fullscreen quad into every face of |level| of |cubemap|.
+  _renderFaces(program, cubemap, level, size) {
+    let gl = this._gl;
+    let framebuffer = gl.createFramebuffer();
+    gl.bindFramebuffer(gl.FRAMEBUFFER, framebuffer);
+    gl.viewport(0, 0, size, size);
+    gl.uniform2f(program.uniform.FACE_SIZE, size, size);
+
+    for (let face = 0; face < 6; ++face) {
+      gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0,
+          gl.TEXTURE_CUBE_MAP_POSITIVE_X + face, cubemap, level);
+      gl.uniform1i(program.uniform.FACE, face);
+      gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
+    }
+
+    gl.deleteFramebuffer(framebuffer);
+  }
+
+  _uploadCubeFaces(faces) {
+    let gl = this._gl;
+    let size = faces[0].width;
+    let levels = Math.floor(Math.log2(size)) + 1;
+    let cubemap = this._createCubemap(size, levels);
+    for (let face = 0; face < 6; ++face) {
+      gl.texSubImage2D(gl.TEXTURE_CUBE_MAP_POSITIVE_X + face, 0, 0, 0,
+          gl.RGBA, gl.UNSIGNED_BYTE, faces[face].source);
+    }
+    gl.generateMipmap(gl.TEXTURE_CUBE_MAP);
+    return {texture: cubemap, size};
+  }
+
+  _equirectToCube(equirect) {
+    let gl = this._gl;
+
+    if (!this._equirectProgram) {
+      this._equirectProgram = new Program(gl, FULLSCREEN_VERTEX_SOURCE,
+          EQUIRECT_TO_CUBE_FRAGMENT_SOURCE, {POSITION: 0});
+    }
+
+    let sourceTexture = gl.createTexture();
+    gl.activeTexture(gl.TEXTURE0);
+    gl.bindTexture(gl.TEXTURE_2D, sourceTexture);
+    gl.texImage2D(gl.TEXTURE_2D, 0, gl.SRGB8_ALPHA8, gl.RGBA, gl.UNSIGNED_BYTE, equirect.source);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR_MIPMAP_LINEAR);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.REPEAT);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+    gl.generateMipmap(gl.TEXTURE_2D);
+
+    let levels = Math.floor(Math.log2(ENV_SOURCE_SIZE)) + 1;
+    let cubemap = this._createCubemap(ENV_SOURCE_SIZE, levels);
+
+    let program = this._equirectProgram;
+    program.use();
+    gl.uniform1i(program.uniform.SOURCE, 0);
+    this._renderFaces(program, cubemap, 0, ENV_SOURCE_SIZE);
+
+    gl.bindTexture(gl.TEXTURE_CUBE_MAP, cubemap);
+    gl.generateMipmap(gl.TEXTURE_CUBE_MAP);
+
+    gl.deleteTexture(sourceTexture);
+    return {texture: cubemap, size: ENV_SOURCE_SIZE};
+  }
+
+  _prefilter(sourceCube, sourceSize) {
+    let gl = this._gl;
+
+    if (!this._prefilterProgram) {
+      this._prefilterProgram = new Program(gl, FULLSCREEN_VERTEX_SOURCE,
+          PREFILTER_FRAGMENT_SOURCE, {POSITION: 0}, {SAMPLE_COUNT: ENV_SAMPLE_COUNT});
+    }
+
+    let cubemap = this._createCubemap(ENV_SPECULAR_SIZE, ENV_SPECULAR_MIP_COUNT);
+
+    let program = this._prefilterProgram;
+    program.use();
+
+    gl.activeTexture(gl.TEXTURE0);
+    gl.bindTexture(gl.TEXTURE_CUBE_MAP, sourceCube);
+    gl.uniform1i(program.uniform.SOURCE, 0);
+    gl.uniform1f(program.uniform.SOURCE_SIZE, sourceSize);
+
+    for (let level = 0; level < ENV_SPECULAR_MIP_COUNT; ++level) {
+      gl.uniform1f(program.uniform.ROUGHNESS, level / (ENV_SPECULAR_MIP_COUNT - 1));
+      this._renderFaces(program, cubemap, level, ENV_SPECULAR_SIZE >> level);
+    }
+
+    gl.bindTexture(gl.TEXTURE_CUBE_MAP, null);
+    return cubemap;
+  }
+}
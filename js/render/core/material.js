@@ -43,21 +43,25 @@ export const MAT_STATE = {
 };
 
 export const RENDER_ORDER = {
-  // Render opaque objects first.
-  OPAQUE: 0,
+  // Render depth-only occluders standing in for real world geometry before
+  // anything else, so they hide the virtual content behind them.
+  OCCLUDER: 0,
+
+  // Render opaque objects next.
+  OPAQUE: 1,
 
   // Render the sky after all opaque object to save fill rate.
-  SKY: 1,
+  SKY: 2,
 
   // Render transparent objects next so that the opaqe objects show through.
-  TRANSPARENT: 2,
+  TRANSPARENT: 3,
 
   // Finally render purely additive effects like pointer rays so that they
   // can render without depth mask.
-  ADDITIVE: 3,
+  ADDITIVE: 4,
 
   // Render order will be picked based on the material properties.
-  DEFAULT: 4,
+  DEFAULT: 5,
 };
 
 export function stateToBlendFunc(state, mask, shift) {
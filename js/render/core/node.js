@@ -50,6 +50,12 @@ export class Node {
     this._renderPrimitives = null;
     this._renderer = null;
 
+    // Set on nodes whose render primitives are deformed by a skeleton.
+    this.skin = null;
+
+    // Per-instance blend weights for render primitives with morph targets.
+    this.morphWeights = null;
+
     this._selectHandler = null;
   }
 
@@ -85,6 +91,10 @@ export class Node {
     let cloneNode = new Node();
     cloneNode.name = this.name;
     cloneNode.visible = this.visible;
+    cloneNode.skin = this.skin;
+    if (this.morphWeights) {
+      cloneNode.morphWeights = new Float32Array(this.morphWeights);
+    }
     cloneNode._renderer = this._renderer;
 
     cloneNode._dirtyTRS = this._dirtyTRS;
@@ -356,6 +366,50 @@ export class Node {
     }
   }
 
+  // Returns the world space bounding box of this node and its children as
+  // {min, max}, or null when none of their primitives have bounds.
+  getWorldBounds() {
+    let bounds = null;
+    let corner = vec3.create();
+
+    if (this._renderPrimitives) {
+      let worldMatrix = this.worldMatrix;
+      for (let primitive of this._renderPrimitives) {
+        if (!primitive._min) {
+          continue;
+        }
+        for (let i = 0; i < 8; ++i) {
+          vec3.set(corner,
+                   (i & 1) ? primitive._max[0] : primitive._min[0],
+                   (i & 2) ? primitive._max[1] : primitive._min[1],
+                   (i & 4) ? primitive._max[2] : primitive._min[2]);
+          vec3.transformMat4(corner, corner, worldMatrix);
+          if (!bounds) {
+            bounds = {min: vec3.clone(corner), max: vec3.clone(corner)};
+          } else {
+            vec3.min(bounds.min, bounds.min, corner);
+            vec3.max(bounds.max, bounds.max, corner);
+          }
+        }
+      }
+    }
+
+    for (let child of this.children) {
+      let childBounds = child.getWorldBounds();
+      if (!childBounds) {
+        continue;
+      }
+      if (!bounds) {
+        bounds = childBounds;
+      } else {
+        vec3.min(bounds.min, bounds.min, childBounds.min);
+        vec3.max(bounds.max, bounds.max, childBounds.max);
+      }
+    }
+
+    return bounds;
+  }
+
   _hitTestSelectableNode(rigidTransform) {
     if (this._renderPrimitives) {
       let localRay = null;
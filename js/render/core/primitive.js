@@ -42,6 +42,7 @@ export class Primitive {
     this.indexType = 0;
     this._min = null;
     this._max = null;
+    this.morphTargets = null;
   }
 
   setIndexBuffer(indexBuffer, byteOffset, indexType) {
@@ -54,4 +55,17 @@ export class Primitive {
     this._min = vec3.clone(min);
     this._max = vec3.clone(max);
   }
+
+  // |attributes| lists which of 'POSITION', 'NORMAL' and 'TANGENT' the targets
+  // displace. |data| is a Float32Array (or a promise of one) of RGBA texels,
+  // one per vertex for each attribute of each target in that order, with the
+  // attribute delta stored in RGB.
+  setMorphTargets(targetCount, attributes, vertexCount, data) {
+    this.morphTargets = {
+      targetCount: targetCount,
+      attributes: attributes,
+      vertexCount: vertexCount,
+      data: data,
+    };
+  }
 }
@@ -21,8 +21,9 @@
 import {CAP, MAT_STATE, RENDER_ORDER, stateToBlendFunc} from './material.js';
 import {Node} from './node.js';
 import {Program} from './program.js';
+import {EnvironmentMapProcessor, convolveSH} from './environment.js';
 import {DataTexture, ExternalTexture, VideoTexture} from './texture.js';
-import {mat4, vec3} from '../math/gl-matrix.js';
+import {mat3, mat4, vec3} from '../math/gl-matrix.js';
 
 export const ATTRIB = {
   POSITION: 1,
@@ -31,6 +32,8 @@ export const ATTRIB = {
   TEXCOORD_0: 4,
   TEXCOORD_1: 5,
   COLOR_0: 6,
+  JOINTS_0: 7,
+  WEIGHTS_0: 8,
 };
 
 export const ATTRIB_MASK = {
@@ -40,10 +43,63 @@ export const ATTRIB_MASK = {
   TEXCOORD_0: 0x0008,
   TEXCOORD_1: 0x0010,
   COLOR_0: 0x0020,
+  JOINTS_0: 0x0040,
+  WEIGHTS_0: 0x0080,
+};
+
+// Morph target deltas are packed into textures of this width.
+export const MORPH_TEXTURE_WIDTH = 2048;
+export const MAX_MORPH_TARGETS = 8;
+
+// Maximum number of punctual lights shaded at once, in addition to the global
+// directional light.
+export const MAX_LIGHTS = 4;
+
+const LIGHT_TYPE = {
+  directional: 0,
+  point: 1,
+  spot: 2,
 };
 
 const GL = WebGLRenderingContext; // For enums
 
+// Texture units reserved for textures owned by the renderer rather than by a
+// material. Allocated from the top so they never collide with material samplers.
+const TEXTURE_UNIT = {
+  MORPH_TARGETS: 15,
+  SHADOW_MAP: 14,
+  ENV_SPECULAR: 13,
+  BRDF_LUT: 12,
+  DEPTH: 11,
+};
+
+// Resolution of the directional light shadow map, in texels per side.
+export const SHADOW_MAP_SIZE = 1024;
+
+// How far back along the light direction the shadow camera sits, as a multiple
+// of the radius of the shadowed area. Casters up to this height above the
+// shadow catchers will still be captured.
+const SHADOW_CAMERA_DISTANCE = 4.0;
+
+// Maps clip space [-1, 1] into shadow map texture space [0, 1].
+const SHADOW_BIAS_MATRIX = new Float32Array([
+  0.5, 0.0, 0.0, 0.0,
+  0.0, 0.5, 0.0, 0.0,
+  0.0, 0.0, 0.5, 0.0,
+  0.5, 0.5, 0.5, 1.0,
+]);
+
+// Tone mapping operators, by the name used for Renderer.toneMapping.
+const TONE_MAPPING = {
+  none: 0,
+  aces: 1,
+  reinhard: 2,
+};
+
+// Encodings the final color can be written in, by the name used for
+// Renderer.outputEncoding.
+const OUTPUT_ENCODING = ['srgb', 'linear'];
+
 const DEF_LIGHT_DIR = new Float32Array([-0.1, -1.0, -0.2]);
 const DEF_LIGHT_COLOR = new Float32Array([3.0, 3.0, 3.0]);
 
@@ -118,8 +174,18 @@ void main() {
 
 const FRAGMENT_SHADER_DEPTH_COMMON = `
 precision highp float;
+#ifdef DEPTH_TEXTURE_2D
+// Sampled in normalized view coordinates (origin at the top left), which
+// depthUvTransform maps into the depth buffer.
+uniform highp sampler2D depthColor;
+uniform mat4 depthUvTransform;
+uniform bool depthLuminanceAlpha;
+#define DEPTH_SAMPLER sampler2D
+#else
 precision highp sampler2DArray;
 uniform sampler2DArray depthColor;
+#define DEPTH_SAMPLER sampler2DArray
+#endif
 uniform float rawValueToMeters;
 out vec4 color;
 in vec4 vWorldPosition;
@@ -127,12 +193,20 @@ uniform bool sortDepth;
 
 uniform mat4 LEFT_DEPTH_PROJECTION_MATRIX, LEFT_DEPTH_VIEW_MATRIX, RIGHT_DEPTH_PROJECTION_MATRIX, RIGHT_DEPTH_VIEW_MATRIX;
 
-float Depth_GetCameraDepthInMillimeters(const sampler2DArray depthTexture,
+float Depth_GetCameraDepthInMillimeters(const DEPTH_SAMPLER depthTexture,
   const vec2 depthUv) {
+#ifdef DEPTH_TEXTURE_2D
+  vec2 bufferUv = (depthUvTransform * vec4(depthUv, 0.0, 1.0)).xy;
+  vec4 packedDepth = texture(depthColor, bufferUv);
+  // 'luminance-alpha' depth packs a 16 bit value into two 8 bit channels.
+  float rawDepth = depthLuminanceAlpha ? dot(packedDepth.ra, vec2(255.0, 256.0 * 255.0)) : packedDepth.r;
+  return rawDepth * 1000.0 * rawValueToMeters;
+#else
   return texture(depthColor, vec3(depthUv.x, depthUv.y, VIEW_ID)).r * 1000.0 * rawValueToMeters;
+#endif
 }
 
-float Depth_GetOcclusion(const sampler2DArray depthTexture, const vec2 depthUv, float assetDepthMm) {
+float Depth_GetOcclusion(const DEPTH_SAMPLER depthTexture, const vec2 depthUv, float assetDepthMm) {
   float depthMm = Depth_GetCameraDepthInMillimeters(depthTexture, depthUv);
 
   // Instead of a hard z-buffer test, allow the asset to fade into the
@@ -145,7 +219,7 @@ float Depth_GetOcclusion(const sampler2DArray depthTexture, const vec2 depthUv,
     0.5, 0.0, 1.0);
 }
 
-float Depth_GetBlurredOcclusionAroundUV(const sampler2DArray depthTexture, const vec2 uv, float assetDepthMm) {
+float Depth_GetBlurredOcclusionAroundUV(const DEPTH_SAMPLER depthTexture, const vec2 uv, float assetDepthMm) {
   // Kernel used:
   // 0   4   7   4   0
   // 4   16  26  16  4
@@ -211,7 +285,12 @@ void main() {
     return;
   }
 
+#ifdef DEPTH_TEXTURE_2D
+  depthPositionHC.y = 1.0 - depthPositionHC.y;
+  float assetDepthMm = -(LEFT_DEPTH_VIEW_MATRIX * vWorldPosition).z * 1000.0;
+#else
   float assetDepthMm = gl_FragCoord.z * 1000.0 * rawValueToMeters;
+#endif
 
   float occlusion = Depth_GetBlurredOcclusionAroundUV(depthColor, depthPositionHC, assetDepthMm);
 
@@ -239,6 +318,16 @@ uniform uint VIEW_ID;
 #define SideBySideMultiplier 1.0
 ` + FRAGMENT_SHADER_DEPTH_COMMON;
 
+// One 2D depth texture per view, as given by handheld AR sessions or uploaded
+// from CPU depth data. Each view is drawn with its own texture bound.
+const FRAGMENT_SHADER_DEPTH_2D_ENTRY = `
+#define DEPTH_TEXTURE_2D
+#define VIEW_ID 0u
+#define SideBySideMultiplier 1.0
+` + FRAGMENT_SHADER_DEPTH_COMMON;
+
+const DEPTH_DATA_FORMATS = ['luminance-alpha', 'float32'];
+
 function isPowerOfTwo(n) {
   return (n & (n - 1)) === 0;
 }
@@ -364,6 +453,7 @@ class RenderPrimitive {
     this._activeFrameId = 0;
     this._instances = [];
     this._material = null;
+    this._morphTargets = null;
 
     this.setPrimitive(primitive);
   }
@@ -465,6 +555,10 @@ class RenderPrimitive {
         completionPromises.push(this._indexBuffer._promise);
       }
 
+      if (this._morphTargets && !this._morphTargets.texture._complete) {
+        completionPromises.push(this._morphTargets.promise);
+      }
+
       this._promise = Promise.all(completionPromises).then(() => {
         this._complete = true;
         return this;
@@ -494,6 +588,16 @@ export class RenderTexture {
 
 const inverseMatrix = mat4.create();
 
+// Whether |node| is a descendant of any of the |roots|.
+function isShadowCaster(node, roots) {
+  for (let ancestor = node; ancestor; ancestor = ancestor.parent) {
+    if (roots.has(ancestor)) {
+      return true;
+    }
+  }
+  return false;
+}
+
 function setCap(gl, glEnum, cap, prevState, state) {
   let change = (state & cap) - (prevState & cap);
   if (!change) {
@@ -545,6 +649,8 @@ class RenderMaterialUniform {
 
 class RenderMaterial {
   constructor(renderer, material, program) {
+    // Kept to pick a new program if the renderer's depth mode changes.
+    this._sourceMaterial = material;
     this._program = program;
     this._state = material.state._state;
     this._activeFrameId = 0;
@@ -713,12 +819,99 @@ export class Renderer {
 
     this._globalLightColor = vec3.clone(DEF_LIGHT_COLOR);
     this._globalLightDir = vec3.clone(DEF_LIGHT_DIR);
+    // Nine RGB spherical harmonics coefficients describing the ambient
+    // irradiance. All zeros (no ambient light) unless a light estimate is set.
+    this._ambientSH = new Float32Array(27);
+
+    // Punctual lights found while marking the scene active, and the packed
+    // uniform values for the ones that will be shaded this frame.
+    this._activeLights = [];
+    this._lightCount = 0;
+    this._lightPositions = new Float32Array(MAX_LIGHTS * 3);
+    this._lightDirections = new Float32Array(MAX_LIGHTS * 3);
+    this._lightColors = new Float32Array(MAX_LIGHTS * 3);
+    this._lightParams = new Float32Array(MAX_LIGHTS * 4);
+
+    // Shadow catchers found while marking the scene active. If there are any a
+    // shadow map is rendered from the global light before the views are drawn.
+    this._shadowCatchers = [];
+    this._shadowMap = null;
+    this._shadowProjectionMatrix = mat4.create();
+    this._shadowViewMatrix = mat4.create();
+    this._shadowMatrix = mat4.create();
+
+    // Both the default framebuffer of a canvas and XRWebGLLayer framebuffers
+    // expect sRGB encoded values, so that's what's written by default. Use
+    // 'linear' when rendering into an sRGB texture, which encodes by itself.
+    this._toneMapping = 'none';
+    this._exposure = 1.0;
+    this._outputEncoding = 'srgb';
+
+    // Image based lighting, set with setEnvironmentMap().
+    this._environment = null;
+    this._environmentIntensity = 1.0;
+    this._environmentProcessor = null;
+    this._brdfLut = null;
 
     this._mv_ext = gl.getExtension('OVR_multiview2');
 
     this._multiview = multiview && this._mv_ext;
     this._multisampledMultiview = multisampledMultiview;
-    this._useDepth = useDepth;
+
+    // Occludes virtual content with depth sensing data when set. 'texture-array'
+    // (or true) expects a texture array with a layer per view, 'texture' a 2D
+    // texture per view, which is also what CPU depth data is uploaded into.
+    this._useDepth = useDepth === true ? 'texture-array' : (useDepth || false);
+    this._depthDataFormat = 'luminance-alpha';
+    this._cpuDepthTextures = [];
+    this._cpuDepthValues = null;
+  }
+
+  get useDepth() {
+    return this._useDepth;
+  }
+
+  // Switches the depth mode, accepting the same values as the constructor.
+  // Every program includes the depth entry points, so they're rebuilt for the
+  // existing primitives, which keeps loaded content instead of needing a new
+  // renderer.
+  set useDepth(value) {
+    value = value === true ? 'texture-array' : (value || false);
+    if (value == this._useDepth) {
+      return;
+    }
+    this._useDepth = value;
+
+    for (let key in this._programCache) {
+      this._gl.deleteProgram(this._programCache[key].program);
+    }
+    this._programCache = {};
+
+    for (let renderPrimitives of this._renderPrimitives) {
+      if (!renderPrimitives) {
+        continue;
+      }
+      for (let renderPrimitive of renderPrimitives) {
+        let renderMaterial = renderPrimitive._material;
+        renderMaterial._program = this._getMaterialProgram(renderMaterial._sourceMaterial, renderPrimitive);
+        // Uniform locations are looked up again on the next bind.
+        renderMaterial._firstBind = true;
+      }
+    }
+  }
+
+  // The XRSession's depthDataFormat, which tells how GPU depth textures pack
+  // their values.
+  get depthDataFormat() {
+    return this._depthDataFormat;
+  }
+
+  set depthDataFormat(value) {
+    if (!DEPTH_DATA_FORMATS.includes(value)) {
+      console.warn(`Unsupported depth data format "${value}", expected one of ${DEPTH_DATA_FORMATS.join(', ')}`);
+      return;
+    }
+    this._depthDataFormat = value;
   }
 
   get gl() {
@@ -777,6 +970,122 @@ export class Renderer {
     return vec3.clone(this._globalLightDir);
   }
 
+  get ambientSH() {
+    return new Float32Array(this._ambientSH);
+  }
+
+  // Applies an XRLightEstimate (or any object with the same shape) to the
+  // global light and ambient lighting. |probeMatrix| is the pose of the light
+  // probe's probeSpace in the scene's reference space, and is used to orient
+  // the primary light direction. The spherical harmonics are assumed to share
+  // the orientation of the reference space. Passing null for |estimate|
+  // restores the default lighting.
+  setLightEstimate(estimate, probeMatrix = null) {
+    if (!estimate) {
+      vec3.copy(this._globalLightColor, DEF_LIGHT_COLOR);
+      vec3.copy(this._globalLightDir, DEF_LIGHT_DIR);
+      this._ambientSH.fill(0);
+      return;
+    }
+
+    let direction = estimate.primaryLightDirection;
+    if (direction) {
+      // primaryLightDirection points towards the light, while the global light
+      // direction is the direction the light travels.
+      vec3.set(this._globalLightDir, -direction.x, -direction.y, -direction.z);
+      if (probeMatrix) {
+        vec3.transformMat3(this._globalLightDir, this._globalLightDir,
+            mat3.fromMat4(mat3.create(), probeMatrix));
+      }
+      vec3.normalize(this._globalLightDir, this._globalLightDir);
+    }
+
+    let intensity = estimate.primaryLightIntensity;
+    if (intensity) {
+      vec3.set(this._globalLightColor, intensity.x, intensity.y, intensity.z);
+    }
+
+    // The estimate holds radiance coefficients, which are convolved into
+    // irradiance the same way as the environment map's.
+    let sh = estimate.sphericalHarmonicsCoefficients;
+    if (sh && sh.length >= 27) {
+      this._ambientSH.set(sh.subarray ? sh.subarray(0, 27) : sh.slice(0, 27));
+      convolveSH(this._ambientSH);
+    }
+  }
+
+  get toneMapping() {
+    return this._toneMapping;
+  }
+
+  // One of 'none', 'aces' or 'reinhard'.
+  set toneMapping(value) {
+    if (!(value in TONE_MAPPING)) {
+      throw new Error(`Unknown tone mapping "${value}"`);
+    }
+    this._toneMapping = value;
+  }
+
+  get exposure() {
+    return this._exposure;
+  }
+
+  // Linear scale applied to the lit color before tone mapping.
+  set exposure(value) {
+    this._exposure = value;
+  }
+
+  get outputEncoding() {
+    return this._outputEncoding;
+  }
+
+  // Either 'srgb' or 'linear'.
+  set outputEncoding(value) {
+    if (OUTPUT_ENCODING.indexOf(value) == -1) {
+      throw new Error(`Unknown output encoding "${value}"`);
+    }
+    this._outputEncoding = value;
+  }
+
+  get environmentIntensity() {
+    return this._environmentIntensity;
+  }
+
+  set environmentIntensity(value) {
+    this._environmentIntensity = value;
+  }
+
+  // Sets the environment used for image based lighting. |source| is either an
+  // equirectangular ImageTexture or an array of six cube face ImageTextures in
+  // +X, -X, +Y, -Y, +Z, -Z order. Passing null removes the environment.
+  // Returns a promise that resolves once the environment is in use.
+  setEnvironmentMap(source) {
+    let gl = this._gl;
+
+    if (!source) {
+      this._setEnvironment(null);
+      return Promise.resolve();
+    }
+
+    let textures = Array.isArray(source) ? source : [source];
+    return Promise.all(textures.map((texture) => texture.waitForComplete())).then(() => {
+      if (!this._environmentProcessor) {
+        this._environmentProcessor = new EnvironmentMapProcessor(gl);
+      }
+      if (!this._brdfLut) {
+        this._brdfLut = this._environmentProcessor.createBrdfLut();
+      }
+      this._setEnvironment(this._environmentProcessor.process(source));
+    });
+  }
+
+  _setEnvironment(environment) {
+    if (this._environment) {
+      this._gl.deleteTexture(this._environment.texture);
+    }
+    this._environment = environment;
+  }
+
   createRenderBuffer(target, data, usage = GL.STATIC_DRAW) {
     let gl = this._gl;
     let glBuffer = gl.createBuffer();
@@ -815,17 +1124,117 @@ export class Renderer {
   createRenderPrimitive(primitive, material) {
     let renderPrimitive = new RenderPrimitive(primitive);
 
+    // Needs to be in place before the program is picked, since the material
+    // defines depend on it.
+    if (primitive.morphTargets) {
+      renderPrimitive._morphTargets = this._createMorphTargets(primitive.morphTargets);
+    }
+
     let program = this._getMaterialProgram(material, renderPrimitive);
     let renderMaterial = new RenderMaterial(this, material, program);
     renderPrimitive.setRenderMaterial(renderMaterial);
 
-    if (!this._renderPrimitives[renderMaterial._renderOrder]) {
-      this._renderPrimitives[renderMaterial._renderOrder] = [];
+    this._addToRenderOrder(renderPrimitive);
+
+    return renderPrimitive;
+  }
+
+  // Swaps the material of an existing render primitive, such as when
+  // switching between material variants.
+  setRenderPrimitiveMaterial(renderPrimitive, material) {
+    let program = this._getMaterialProgram(material, renderPrimitive);
+    let renderMaterial = new RenderMaterial(this, material, program);
+
+    this._removeFromRenderOrder(renderPrimitive);
+    renderPrimitive.setRenderMaterial(renderMaterial);
+    this._addToRenderOrder(renderPrimitive);
+  }
+
+  // Stops drawing |renderPrimitive| and frees its GL resources. For geometry
+  // that is rebuilt or thrown away at runtime, like detected planes. The
+  // primitive mustn't be used afterwards, and its buffers mustn't be shared
+  // with other primitives.
+  deleteRenderPrimitive(renderPrimitive) {
+    let gl = this._gl;
+    this._removeFromRenderOrder(renderPrimitive);
+
+    let deleteBuffer = (renderBuffer) => {
+      if (renderBuffer._buffer) {
+        gl.deleteBuffer(renderBuffer._buffer);
+        renderBuffer._buffer = null;
+      } else {
+        renderBuffer.waitForComplete().then(() => {
+          gl.deleteBuffer(renderBuffer._buffer);
+          renderBuffer._buffer = null;
+        });
+      }
+    };
+
+    for (let attributeBuffer of renderPrimitive._attributeBuffers) {
+      deleteBuffer(attributeBuffer._buffer);
     }
+    if (renderPrimitive._indexBuffer) {
+      deleteBuffer(renderPrimitive._indexBuffer);
+    }
+    if (renderPrimitive._vao && this._vaoExt) {
+      this._vaoExt.deleteVertexArrayOES(renderPrimitive._vao);
+      renderPrimitive._vao = null;
+    }
+    if (renderPrimitive._morphTargets) {
+      gl.deleteTexture(renderPrimitive._morphTargets.texture._texture);
+    }
+    renderPrimitive._instances.length = 0;
+  }
 
-    this._renderPrimitives[renderMaterial._renderOrder].push(renderPrimitive);
+  _addToRenderOrder(renderPrimitive) {
+    let renderOrder = renderPrimitive._material._renderOrder;
+    if (!this._renderPrimitives[renderOrder]) {
+      this._renderPrimitives[renderOrder] = [];
+    }
 
-    return renderPrimitive;
+    this._renderPrimitives[renderOrder].push(renderPrimitive);
+  }
+
+  _removeFromRenderOrder(renderPrimitive) {
+    let renderPrimitives = this._renderPrimitives[renderPrimitive._material._renderOrder];
+    if (renderPrimitives) {
+      let index = renderPrimitives.indexOf(renderPrimitive);
+      if (index > -1) {
+        renderPrimitives.splice(index, 1);
+      }
+    }
+  }
+
+  _createMorphTargets(morphTargets) {
+    let gl = this._gl;
+    let renderTexture = new RenderTexture(gl.createTexture());
+
+    let promise = Promise.resolve(morphTargets.data).then((data) => {
+      let texelCount = data.length / 4;
+      let width = Math.min(texelCount, MORPH_TEXTURE_WIDTH);
+      let height = Math.ceil(texelCount / MORPH_TEXTURE_WIDTH);
+      let texels = data;
+      if (width * height * 4 != data.length) {
+        texels = new Float32Array(width * height * 4);
+        texels.set(data);
+      }
+
+      gl.bindTexture(gl.TEXTURE_2D, renderTexture._texture);
+      gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA32F, width, height, 0, gl.RGBA, gl.FLOAT, texels);
+      gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+      gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+      gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+      gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+      renderTexture._complete = true;
+    });
+
+    return {
+      targetCount: morphTargets.targetCount,
+      attributes: morphTargets.attributes,
+      vertexCount: morphTargets.vertexCount,
+      texture: renderTexture,
+      promise: promise,
+    };
   }
 
   createMesh(primitive, material) {
@@ -842,7 +1251,18 @@ export class Renderer {
     let gl = this._gl;
     this._frameId++;
 
+    this._activeLights.length = 0;
+    this._shadowCatchers.length = 0;
     rootNode.markActive(this._frameId);
+    this._updateLights();
+
+    if (this._shadowCatchers.length) {
+      this._drawShadowMap();
+    }
+
+    if (this._useDepth == 'texture' && depthData) {
+      this._uploadCpuDepth(depthData);
+    }
 
     // If there's only one view then flip the algorithm a bit so that we're only
     // setting the viewport once.
@@ -886,6 +1306,243 @@ export class Renderer {
     }
   }
 
+  // Called by visible PunctualLightNodes while the scene is marked active.
+  _addActiveLight(light) {
+    this._activeLights.push(light);
+  }
+
+  // Packs the active punctual lights into world space uniform values.
+  _updateLights() {
+    let lights = this._activeLights;
+    if (lights.length > MAX_LIGHTS && !this._warnedMaxLights) {
+      console.warn(`Scene has ${lights.length} active lights, only ${MAX_LIGHTS} will be shaded.`);
+      this._warnedMaxLights = true;
+    }
+
+    this._lightCount = Math.min(lights.length, MAX_LIGHTS);
+    for (let i = 0; i < this._lightCount; ++i) {
+      let light = lights[i];
+      let m = light.worldMatrix;
+
+      this._lightPositions.set([m[12], m[13], m[14]], i * 3);
+
+      // Lights point down their local -Z axis.
+      let direction = vec3.fromValues(-m[8], -m[9], -m[10]);
+      vec3.normalize(direction, direction);
+      this._lightDirections.set(direction, i * 3);
+
+      this._lightColors.set([
+        light.color[0] * light.intensity,
+        light.color[1] * light.intensity,
+        light.color[2] * light.intensity,
+      ], i * 3);
+
+      let angleScale = 0;
+      let angleOffset = 0;
+      if (light.type == 'spot') {
+        let cosInner = Math.cos(light.innerConeAngle);
+        let cosOuter = Math.cos(light.outerConeAngle);
+        angleScale = 1.0 / Math.max(0.001, cosInner - cosOuter);
+        angleOffset = -cosOuter * angleScale;
+      }
+
+      this._lightParams.set([LIGHT_TYPE[light.type] || 0, light.range, angleScale, angleOffset], i * 4);
+    }
+  }
+
+  // Called by visible ShadowCatcherNodes while the scene is marked active.
+  _addShadowCatcher(catcher) {
+    this._shadowCatchers.push(catcher);
+  }
+
+  // Fits an orthographic shadow camera looking down the global light
+  // direction around every active shadow catcher.
+  _updateShadowMatrices() {
+    let min = vec3.fromValues(Infinity, Infinity, Infinity);
+    let max = vec3.fromValues(-Infinity, -Infinity, -Infinity);
+    let scale = vec3.create();
+    for (let catcher of this._shadowCatchers) {
+      let m = catcher.worldMatrix;
+      mat4.getScaling(scale, m);
+      let radius = catcher.radius * Math.max(scale[0], scale[1], scale[2]);
+      for (let i = 0; i < 3; ++i) {
+        min[i] = Math.min(min[i], m[12 + i] - radius);
+        max[i] = Math.max(max[i], m[12 + i] + radius);
+      }
+    }
+
+    let center = vec3.lerp(vec3.create(), min, max, 0.5);
+    let radius = vec3.distance(min, max) * 0.5;
+
+    let lightDir = vec3.normalize(vec3.create(), this._globalLightDir);
+    let distance = radius * SHADOW_CAMERA_DISTANCE;
+    let eye = vec3.scaleAndAdd(vec3.create(), center, lightDir, -distance);
+    let up = Math.abs(lightDir[1]) > 0.99 ? vec3.fromValues(0, 0, 1) : vec3.fromValues(0, 1, 0);
+
+    mat4.lookAt(this._shadowViewMatrix, eye, center, up);
+    mat4.ortho(this._shadowProjectionMatrix, -radius, radius, -radius, radius, 0.0, distance + radius);
+
+    mat4.multiply(this._shadowMatrix, this._shadowProjectionMatrix, this._shadowViewMatrix);
+    mat4.multiply(this._shadowMatrix, SHADOW_BIAS_MATRIX, this._shadowMatrix);
+  }
+
+  _createShadowMap() {
+    let gl = this._gl;
+
+    let texture = gl.createTexture();
+    gl.bindTexture(gl.TEXTURE_2D, texture);
+    gl.texStorage2D(gl.TEXTURE_2D, 1, gl.DEPTH_COMPONENT24, SHADOW_MAP_SIZE, SHADOW_MAP_SIZE);
+    // Compare mode allows sampler2DShadow lookups, with hardware filtering of
+    // the comparison results on most GPUs.
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_COMPARE_MODE, gl.COMPARE_REF_TO_TEXTURE);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_COMPARE_FUNC, gl.LEQUAL);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+    gl.bindTexture(gl.TEXTURE_2D, null);
+
+    let framebuffer = gl.createFramebuffer();
+    gl.bindFramebuffer(gl.FRAMEBUFFER, framebuffer);
+    gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.DEPTH_ATTACHMENT, gl.TEXTURE_2D, texture, 0);
+
+    return {texture, framebuffer};
+  }
+
+  // Renders the depth of every opaque primitive that shares a parent with a
+  // shadow catcher into the shadow map, as seen from the global light.
+  _drawShadowMap() {
+    let gl = this._gl;
+
+    let prevFramebuffer = gl.getParameter(gl.FRAMEBUFFER_BINDING);
+    let prevViewport = gl.getParameter(gl.VIEWPORT);
+
+    // Make sure the shadow map isn't bound for sampling while rendering to it.
+    gl.activeTexture(gl.TEXTURE0 + TEXTURE_UNIT.SHADOW_MAP);
+    gl.bindTexture(gl.TEXTURE_2D, null);
+
+    if (!this._shadowMap) {
+      this._shadowMap = this._createShadowMap();
+    } else {
+      gl.bindFramebuffer(gl.FRAMEBUFFER, this._shadowMap.framebuffer);
+    }
+
+    gl.viewport(0, 0, SHADOW_MAP_SIZE, SHADOW_MAP_SIZE);
+    gl.depthMask(true);
+    gl.clear(gl.DEPTH_BUFFER_BIT);
+
+    this._updateShadowMatrices();
+
+    let casterRoots = new Set();
+    for (let catcher of this._shadowCatchers) {
+      if (catcher.parent) {
+        casterRoots.add(catcher.parent);
+      }
+    }
+
+    // Programs compiled for multiview can't render a single light view, so in
+    // that case the cleared shadow map leaves the catchers fully lit.
+    let opaquePrimitives = this._renderPrimitives[RENDER_ORDER.OPAQUE];
+    if (!this.multiview && opaquePrimitives) {
+      gl.enable(gl.POLYGON_OFFSET_FILL);
+      gl.polygonOffset(2.0, 4.0);
+
+      let program = null;
+      let material = null;
+      let attribMask = 0;
+
+      for (let primitive of opaquePrimitives) {
+        if (primitive._activeFrameId != this._frameId) {
+          continue;
+        }
+
+        let primitiveBound = false;
+        for (let instance of primitive._instances) {
+          if (instance._activeFrameId != this._frameId || !isShadowCaster(instance, casterRoots)) {
+            continue;
+          }
+
+          if (!primitiveBound) {
+            if (program != primitive._material._program) {
+              program = primitive._material._program;
+              program.use();
+              gl.uniformMatrix4fv(program.uniform.PROJECTION_MATRIX, false, this._shadowProjectionMatrix);
+              gl.uniformMatrix4fv(program.uniform.VIEW_MATRIX, false, this._shadowViewMatrix);
+              if (program.uniform.sortDepth) {
+                gl.uniform1i(program.uniform.sortDepth, 0);
+              }
+            }
+
+            if (material != primitive._material) {
+              this._bindMaterialState(primitive._material, material);
+              material = primitive._material;
+            }
+
+            attribMask = this._bindPrimitiveVertexState(program, primitive, attribMask);
+            primitiveBound = true;
+          }
+
+          this._drawInstance(program, primitive, instance);
+        }
+      }
+
+      gl.disable(gl.POLYGON_OFFSET_FILL);
+    }
+
+    gl.bindFramebuffer(gl.FRAMEBUFFER, prevFramebuffer);
+    gl.viewport(prevViewport[0], prevViewport[1], prevViewport[2], prevViewport[3]);
+  }
+
+  // Binds the vertex attributes, indices and morph targets of |primitive|.
+  // Returns the attribute mask that is now enabled.
+  _bindPrimitiveVertexState(program, primitive, attribMask) {
+    let gl = this._gl;
+
+    if (this._vaoExt) {
+      if (primitive._vao) {
+        this._vaoExt.bindVertexArrayOES(primitive._vao);
+      } else {
+        primitive._vao = this._vaoExt.createVertexArrayOES();
+        this._vaoExt.bindVertexArrayOES(primitive._vao);
+        this._bindPrimitive(primitive);
+      }
+    } else {
+      this._bindPrimitive(primitive, attribMask);
+      attribMask = primitive._attributeMask;
+    }
+
+    if (primitive._morphTargets && program.uniform.MORPH_TARGETS) {
+      gl.activeTexture(gl.TEXTURE0 + TEXTURE_UNIT.MORPH_TARGETS);
+      gl.bindTexture(gl.TEXTURE_2D, primitive._morphTargets.texture._texture);
+      gl.uniform1i(program.uniform.MORPH_TARGETS, TEXTURE_UNIT.MORPH_TARGETS);
+      gl.uniform1i(program.uniform.MORPH_VERTEX_COUNT, primitive._morphTargets.vertexCount);
+    }
+
+    return attribMask;
+  }
+
+  _drawInstance(program, primitive, instance) {
+    let gl = this._gl;
+
+    gl.uniformMatrix4fv(program.uniform.MODEL_MATRIX, false, instance.worldMatrix);
+
+    if (instance.skin && program.uniform.JOINT_MATRICES) {
+      gl.uniformMatrix4fv(program.uniform.JOINT_MATRICES, false,
+          instance.skin.getJointMatrices(instance, this._frameId));
+    }
+
+    if (instance.morphWeights && program.uniform.MORPH_WEIGHTS) {
+      gl.uniform1fv(program.uniform.MORPH_WEIGHTS, instance.morphWeights);
+    }
+
+    if (primitive._indexBuffer) {
+      gl.drawElements(primitive._mode, primitive._elementCount,
+          primitive._indexType, primitive._indexByteOffset);
+    } else {
+      gl.drawArrays(primitive._mode, 0, primitive._elementCount);
+    }
+  }
+
   _drawRenderPrimitiveSet(views, renderPrimitives, depthData) {
     let gl = this._gl;
     let program = null;
@@ -914,6 +1571,50 @@ export class Renderer {
           gl.uniform3fv(program.uniform.LIGHT_COLOR, this._globalLightColor);
         }
 
+        if (program.uniform.EXPOSURE) {
+          gl.uniform1f(program.uniform.EXPOSURE, this._exposure);
+          gl.uniform1i(program.uniform.TONE_MAPPING, TONE_MAPPING[this._toneMapping]);
+          gl.uniform1i(program.uniform.OUTPUT_SRGB, this._outputEncoding == 'srgb');
+        }
+
+        if (program.uniform.AMBIENT_SH) {
+          gl.uniform3fv(program.uniform.AMBIENT_SH, this._ambientSH);
+        }
+
+        if (program.uniform.LIGHT_COUNT) {
+          gl.uniform1i(program.uniform.LIGHT_COUNT, this._lightCount);
+          if (this._lightCount) {
+            gl.uniform3fv(program.uniform.LIGHT_POSITIONS, this._lightPositions);
+            gl.uniform3fv(program.uniform.LIGHT_DIRECTIONS, this._lightDirections);
+            gl.uniform3fv(program.uniform.LIGHT_COLORS, this._lightColors);
+            gl.uniform4fv(program.uniform.LIGHT_PARAMS, this._lightParams);
+          }
+        }
+
+        // Always point the IBL samplers at their reserved units, even without an
+        // environment, so they never alias a material's 2D sampler.
+        if (program.uniform.ENV_SPECULAR) {
+          let environment = this._environment;
+          gl.activeTexture(gl.TEXTURE0 + TEXTURE_UNIT.ENV_SPECULAR);
+          gl.bindTexture(gl.TEXTURE_CUBE_MAP, environment ? environment.texture : null);
+          gl.uniform1i(program.uniform.ENV_SPECULAR, TEXTURE_UNIT.ENV_SPECULAR);
+          gl.activeTexture(gl.TEXTURE0 + TEXTURE_UNIT.BRDF_LUT);
+          gl.bindTexture(gl.TEXTURE_2D, this._brdfLut);
+          gl.uniform1i(program.uniform.BRDF_LUT, TEXTURE_UNIT.BRDF_LUT);
+          gl.uniform1f(program.uniform.ENV_INTENSITY, environment ? this._environmentIntensity : 0.0);
+          if (environment) {
+            gl.uniform3fv(program.uniform.ENV_SH, environment.sh);
+            gl.uniform1f(program.uniform.ENV_MIP_COUNT, environment.mipCount);
+          }
+        }
+
+        if (program.uniform.SHADOW_MAP) {
+          gl.activeTexture(gl.TEXTURE0 + TEXTURE_UNIT.SHADOW_MAP);
+          gl.bindTexture(gl.TEXTURE_2D, this._shadowMap ? this._shadowMap.texture : null);
+          gl.uniform1i(program.uniform.SHADOW_MAP, TEXTURE_UNIT.SHADOW_MAP);
+          gl.uniformMatrix4fv(program.uniform.SHADOW_MATRIX, false, this._shadowMatrix);
+        }
+
         if (views.length == 1) {
           gl.uniformMatrix4fv(program.uniform.PROJECTION_MATRIX, false, views[0].projectionMatrix);
           gl.uniformMatrix4fv(program.uniform.VIEW_MATRIX, false, views[0].viewMatrix);
@@ -928,21 +1629,13 @@ export class Renderer {
         material = primitive._material;
       }
 
-      if (this._vaoExt) {
-        if (primitive._vao) {
-          this._vaoExt.bindVertexArrayOES(primitive._vao);
-        } else {
-          primitive._vao = this._vaoExt.createVertexArrayOES();
-          this._vaoExt.bindVertexArrayOES(primitive._vao);
-          this._bindPrimitive(primitive);
-        }
-      } else {
-        this._bindPrimitive(primitive, attribMask);
-        attribMask = primitive._attributeMask;
-      }
+      attribMask = this._bindPrimitiveVertexState(program, primitive, attribMask);
 
       for (let i = 0; i < views.length; ++i) {
         let view = views[i];
+        if (this._useDepth == 'texture') {
+          this._bindDepthTexture(program, view, depthData ? depthData[i] : null, i);
+        }
         if (views.length > 1) {
           if (view.viewport) {
             let vp = view.viewport;
@@ -968,10 +1661,10 @@ export class Renderer {
               gl.uniform1ui(program.uniform.VIEW_ID, i);
             }
           }
-          if (depthData) {
+          if (depthData && this._useDepth != 'texture') {
             gl.uniform1i(program.uniform.sortDepth, depthData.length > 0);
           }
-          if ((i == 0) && depthData && depthData.length) {
+          if ((i == 0) && depthData && depthData.length && this._useDepth != 'texture') {
             // for older browser that don't support projectionMatrix and transform on the depth data
             gl.uniformMatrix4fv(program.uniform.LEFT_DEPTH_PROJECTION_MATRIX, false, views[0].projectionMatrix);
             gl.uniformMatrix4fv(program.uniform.LEFT_DEPTH_VIEW_MATRIX, false, views[0].viewMatrix);
@@ -998,14 +1691,7 @@ export class Renderer {
             continue;
           }
 
-          gl.uniformMatrix4fv(program.uniform.MODEL_MATRIX, false, instance.worldMatrix);
-
-          if (primitive._indexBuffer) {
-            gl.drawElements(primitive._mode, primitive._elementCount,
-                primitive._indexType, primitive._indexByteOffset);
-          } else {
-            gl.drawArrays(primitive._mode, 0, primitive._elementCount);
-          }
+          this._drawInstance(program, primitive, instance);
         }
         if (this.multiview) {
           break;
@@ -1014,6 +1700,82 @@ export class Renderer {
     }
   }
 
+  // Uploads XRCPUDepthInformation buffers into float textures so they can be
+  // sampled like the depth textures of XRWebGLDepthInformation.
+  _uploadCpuDepth(depthData) {
+    let gl = this._gl;
+
+    for (let i = 0; i < depthData.length; ++i) {
+      let depthInfo = depthData[i];
+      if (!depthInfo || !depthInfo.data) {
+        continue;
+      }
+
+      let width = depthInfo.width;
+      let height = depthInfo.height;
+      let values;
+      if (depthInfo.data.byteLength == width * height * 4) {
+        values = new Float32Array(depthInfo.data);
+      } else {
+        // 16 bit raw values, converted so every format samples the same way.
+        let rawValues = new Uint16Array(depthInfo.data);
+        if (!this._cpuDepthValues || this._cpuDepthValues.length != rawValues.length) {
+          this._cpuDepthValues = new Float32Array(rawValues.length);
+        }
+        values = this._cpuDepthValues;
+        values.set(rawValues);
+      }
+
+      if (!this._cpuDepthTextures[i]) {
+        this._cpuDepthTextures[i] = gl.createTexture();
+      }
+
+      gl.activeTexture(gl.TEXTURE0 + TEXTURE_UNIT.DEPTH);
+      gl.bindTexture(gl.TEXTURE_2D, this._cpuDepthTextures[i]);
+      // Float textures aren't filterable everywhere, and the occlusion shader
+      // blurs its lookups anyway.
+      gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+      gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+      gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+      gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+      gl.texImage2D(gl.TEXTURE_2D, 0, gl.R32F, width, height, 0, gl.RED, gl.FLOAT, values);
+    }
+  }
+
+  // Points the 2D occlusion shader at the depth of |view|. Occlusion is turned
+  // off for views without usable depth this frame.
+  _bindDepthTexture(program, view, depthInfo, index) {
+    let gl = this._gl;
+    if (!program.uniform.sortDepth) {
+      return;
+    }
+
+    let texture = null;
+    let packed = false;
+    if (depthInfo && depthInfo.data) {
+      texture = this._cpuDepthTextures[index];
+    } else if (depthInfo && depthInfo.texture && depthInfo.textureType != 'texture-array') {
+      texture = depthInfo.texture;
+      packed = this._depthDataFormat == 'luminance-alpha';
+    }
+
+    // Always bind the reserved unit so the depth sampler never aliases a
+    // material's sampler.
+    gl.activeTexture(gl.TEXTURE0 + TEXTURE_UNIT.DEPTH);
+    gl.bindTexture(gl.TEXTURE_2D, texture);
+    gl.uniform1i(program.uniform.depthColor, TEXTURE_UNIT.DEPTH);
+    gl.uniform1i(program.uniform.sortDepth, !!texture);
+    if (!texture) {
+      return;
+    }
+
+    gl.uniform1i(program.uniform.depthLuminanceAlpha, packed);
+    gl.uniform1f(program.uniform.rawValueToMeters, depthInfo.rawValueToMeters);
+    gl.uniformMatrix4fv(program.uniform.depthUvTransform, false, depthInfo.normDepthBufferFromNormView.matrix);
+    gl.uniformMatrix4fv(program.uniform.LEFT_DEPTH_PROJECTION_MATRIX, false, view.projectionMatrix);
+    gl.uniformMatrix4fv(program.uniform.LEFT_DEPTH_VIEW_MATRIX, false, view.viewMatrix);
+  }
+
   addExternalTexture(key, texture, isArray) {
     if (this._textureCache[key] === undefined) {
       this._textureCache[key] = {};
@@ -1148,7 +1910,9 @@ export class Renderer {
 
       let fullFragmentSource = fragPrecisionHeader + fragmentSource;
 
-      if (this._useDepth) {
+      if (this._useDepth == 'texture') {
+        fullFragmentSource += FRAGMENT_SHADER_DEPTH_2D_ENTRY;
+      } else if (this._useDepth) {
         fullFragmentSource += this.multiview ? FRAGMENT_SHADER_MULTI_DEPTH_ENTRY : FRAGMENT_SHADER_DEPTH_ENTRY;
       } else {
         fullFragmentSource += this.multiview ? FRAGMENT_SHADER_MULTI_ENTRY : FRAGMENT_SHADER_ENTRY
@@ -0,0 +1,68 @@
+/*
+Skeletal skinning support for glTF 2.0 skins.
+
+A Skin references the nodes that act as its joints and the inverse bind matrix
+for each of them. Every frame the renderer asks the skin for the joint matrices
+of the mesh node being drawn, which are then uploaded to the JOINT_MATRICES
+uniform array used by the vertex shader to pose the geometry.
+*/
+
+import {mat4} from '../math/gl-matrix.js';
+
+// Upper bound on the joints a single skin can use. Each joint consumes four
+// vertex uniform vectors, so this needs to stay well under the WebGL 2 minimum
+// of 256 MAX_VERTEX_UNIFORM_VECTORS.
+export const MAX_JOINTS = 48;
+
+const inverseMeshMatrix = mat4.create();
+const jointMatrix = mat4.create();
+
+export class Skin {
+  constructor(joints, inverseBindMatrices = null) {
+    if (joints.length > MAX_JOINTS) {
+      console.warn(`Skin uses ${joints.length} joints, only the first ${MAX_JOINTS} will be animated.`);
+    }
+
+    this.joints = joints;
+    // Packed column-major mat4 per joint, or null for identity matrices.
+    this.inverseBindMatrices = inverseBindMatrices;
+
+    this._jointMatrices = new Float32Array(Math.min(joints.length, MAX_JOINTS) * 16);
+    this._frameId = -1;
+    this._meshNode = null;
+  }
+
+  // Returns the joint matrices for the given mesh node. The matrices are
+  // relative to the mesh node so that MODEL_MATRIX can still be applied as
+  // usual in the vertex shader. Results are cached per frame and node.
+  getJointMatrices(meshNode, frameId) {
+    if (this._frameId == frameId && this._meshNode == meshNode) {
+      return this._jointMatrices;
+    }
+    this._frameId = frameId;
+    this._meshNode = meshNode;
+
+    mat4.invert(inverseMeshMatrix, meshNode.worldMatrix);
+
+    let jointCount = this._jointMatrices.length / 16;
+    for (let i = 0; i < jointCount; ++i) {
+      let joint = this.joints[i];
+      let out = this._jointMatrices.subarray(i * 16, (i + 1) * 16);
+
+      if (!joint) {
+        mat4.identity(out);
+        continue;
+      }
+
+      mat4.multiply(jointMatrix, inverseMeshMatrix, joint.worldMatrix);
+      if (this.inverseBindMatrices) {
+        let inverseBind = this.inverseBindMatrices.subarray(i * 16, (i + 1) * 16);
+        mat4.multiply(out, jointMatrix, inverseBind);
+      } else {
+        mat4.copy(out, jointMatrix);
+      }
+    }
+
+    return this._jointMatrices;
+  }
+}
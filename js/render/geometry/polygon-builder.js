@@ -0,0 +1,122 @@
+/*
+Builds flat geometry from a polygon outline on the Y = 0 plane, such as the
+XRPlane.polygon reported by plane detection. The outline may be concave and
+in either winding order; it's triangulated by ear clipping so that every
+triangle faces up.
+*/
+
+import {GeometryBuilderBase} from './primitive-stream.js';
+
+// Y component of the cross product of (b - a) and (c - a), which is positive
+// when a, b, c wind counter-clockwise seen from above.
+function crossY(a, b, c) {
+  return (b.z - a.z) * (c.x - a.x) - (b.x - a.x) * (c.z - a.z);
+}
+
+function pointInTriangle(p, a, b, c) {
+  let ab = crossY(a, b, p);
+  let bc = crossY(b, c, p);
+  let ca = crossY(c, a, p);
+  return (ab >= 0 && bc >= 0 && ca >= 0) || (ab <= 0 && bc <= 0 && ca <= 0);
+}
+
+// Returns a list of indices into |points|, three per triangle, with every
+// triangle wound counter-clockwise seen from above.
+export function triangulatePolygon(points) {
+  let count = points.length;
+  if (count < 3) {
+    return [];
+  }
+
+  // Signed area of the outline, to tell convex corners from reflex ones.
+  let area = 0;
+  for (let i = 1; i < count - 1; ++i) {
+    area += crossY(points[0], points[i], points[i + 1]);
+  }
+  let winding = area >= 0 ? 1 : -1;
+
+  let remaining = [];
+  for (let i = 0; i < count; ++i) {
+    remaining.push(i);
+  }
+
+  let triangles = [];
+  let misses = 0;
+  let i = 0;
+  while (remaining.length > 3 && misses < remaining.length) {
+    let n = remaining.length;
+    let prev = remaining[(i + n - 1) % n];
+    let curr = remaining[i % n];
+    let next = remaining[(i + 1) % n];
+
+    let a = points[prev];
+    let b = points[curr];
+    let c = points[next];
+
+    let isEar = crossY(a, b, c) * winding > 0;
+    for (let j = 0; isEar && j < n; ++j) {
+      let other = remaining[j];
+      if (other != prev && other != curr && other != next &&
+          pointInTriangle(points[other], a, b, c)) {
+        isEar = false;
+      }
+    }
+
+    if (isEar) {
+      if (winding > 0) {
+        triangles.push(prev, curr, next);
+      } else {
+        triangles.push(prev, next, curr);
+      }
+      remaining.splice(i % n, 1);
+      misses = 0;
+    } else {
+      i++;
+      misses++;
+    }
+  }
+
+  // Whatever's left is either the last triangle or a degenerate outline that
+  // couldn't be clipped any further.
+  if (remaining.length == 3) {
+    let [a, b, c] = remaining;
+    if (crossY(points[a], points[b], points[c]) * winding > 0) {
+      if (winding > 0) {
+        triangles.push(a, b, c);
+      } else {
+        triangles.push(a, c, b);
+      }
+    }
+  }
+
+  return triangles;
+}
+
+export class PolygonBuilder extends GeometryBuilderBase {
+  // |points| is a list of {x, z} points. Texture coordinates are the X and Z
+  // position in meters, so materials can draw patterns at a fixed real size.
+  // Returns the number of triangles pushed, which is 0 for degenerate outlines.
+  pushPolygon(points, y = 0) {
+    let triangles = triangulatePolygon(points);
+    if (!triangles.length) {
+      return 0;
+    }
+
+    let stream = this.primitiveStream;
+
+    stream.startGeometry();
+
+    let idx = stream.nextVertexIndex;
+    for (let point of points) {
+      stream.pushVertex(point.x, y, point.z, point.x, point.z, 0.0, 1.0, 0.0);
+    }
+
+    for (let i = 0; i < triangles.length; i += 3) {
+      stream.pushTriangle(idx + triangles[i], idx + triangles[i + 1], idx + triangles[i + 2]);
+    }
+
+    stream.endGeometry();
+
+    return triangles.length / 3;
+  }
+}
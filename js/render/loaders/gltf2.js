@@ -19,8 +19,12 @@
 // SOFTWARE.
 
 import {PbrMaterial} from '../materials/pbr.js';
+import {AnimationChannel, AnimationClip, AnimationSampler} from '../core/animation.js';
 import {Node} from '../core/node.js';
+import {PunctualLightNode} from '../nodes/punctual-light.js';
 import {Primitive, PrimitiveAttribute} from '../core/primitive.js';
+import {ATTRIB, MAX_MORPH_TARGETS} from '../core/renderer.js';
+import {Skin} from '../core/skin.js';
 import {ImageTexture, ColorTexture} from '../core/texture.js';
 
 const GL = WebGLRenderingContext; // For enums
@@ -54,10 +58,48 @@ function getComponentCount(type) {
     case 'VEC2': return 2;
     case 'VEC3': return 3;
     case 'VEC4': return 4;
+    case 'MAT2': return 4;
+    case 'MAT3': return 9;
+    case 'MAT4': return 16;
     default: return 0;
   }
 }
 
+function getComponentSize(componentType) {
+  switch (componentType) {
+    case GL.BYTE:
+    case GL.UNSIGNED_BYTE: return 1;
+    case GL.SHORT:
+    case GL.UNSIGNED_SHORT: return 2;
+    case GL.UNSIGNED_INT:
+    case GL.FLOAT: return 4;
+    default: return 0;
+  }
+}
+
+function readComponent(dataView, byteOffset, componentType) {
+  switch (componentType) {
+    case GL.BYTE: return dataView.getInt8(byteOffset);
+    case GL.UNSIGNED_BYTE: return dataView.getUint8(byteOffset);
+    case GL.SHORT: return dataView.getInt16(byteOffset, true);
+    case GL.UNSIGNED_SHORT: return dataView.getUint16(byteOffset, true);
+    case GL.UNSIGNED_INT: return dataView.getUint32(byteOffset, true);
+    case GL.FLOAT: return dataView.getFloat32(byteOffset, true);
+    default: return 0;
+  }
+}
+
+// Converts a normalized integer component into the [0, 1] or [-1, 1] range.
+function normalizeComponent(value, componentType) {
+  switch (componentType) {
+    case GL.BYTE: return Math.max(value / 127.0, -1.0);
+    case GL.UNSIGNED_BYTE: return value / 255.0;
+    case GL.SHORT: return Math.max(value / 32767.0, -1.0);
+    case GL.UNSIGNED_SHORT: return value / 65535.0;
+    default: return value;
+  }
+}
+
 /**
  * Gltf2SceneLoader
  * Loads glTF 2.0 scenes into a renderable node tree.
@@ -219,11 +261,18 @@ export class Gltf2Loader {
       }
     }
 
-    let accessors = json.accessors;
+    let accessors = [];
+    if (json.accessors) {
+      for (let accessor of json.accessors) {
+        accessors.push(new Gltf2Accessor(accessor, bufferViews));
+      }
+    }
 
+    let variantMappings = [];
     let meshes = [];
     for (let mesh of json.meshes) {
       let glMesh = new Gltf2Mesh();
+      glMesh.weights = mesh.weights || null;
       meshes.push(glMesh);
 
       for (let primitive of mesh.primitives) {
@@ -244,7 +293,12 @@ export class Gltf2Loader {
         let max = null;
 
         for (let name in primitive.attributes) {
-          let accessor = accessors[primitive.attributes[name]];
+          // Skip attributes the renderer has no binding location for.
+          if (!(name in ATTRIB)) {
+            continue;
+          }
+
+          let accessor = accessors[primitive.attributes[name]].json;
           let bufferView = bufferViews[accessor.bufferView];
           elementCount = accessor.count;
 
@@ -269,7 +323,7 @@ export class Gltf2Loader {
         let glPrimitive = new Primitive(attributes, elementCount, primitive.mode);
 
         if ('indices' in primitive) {
-          let accessor = accessors[primitive.indices];
+          let accessor = accessors[primitive.indices].json;
           let bufferView = bufferViews[accessor.bufferView];
 
           glPrimitive.setIndexBuffer(
@@ -286,25 +340,167 @@ export class Gltf2Loader {
           glPrimitive.setBounds(min, max);
         }
 
+        if (primitive.targets && primitive.targets.length) {
+          let vertexCount = accessors[primitive.attributes.POSITION].json.count;
+          this._setMorphTargets(glPrimitive, primitive.targets, accessors, vertexCount);
+          glMesh.targetCount = Math.max(glMesh.targetCount, glPrimitive.morphTargets.targetCount);
+        }
+
         // After all the attributes have been processed, get a program that is
         // appropriate for both the material and the primitive attributes.
-        glMesh.primitives.push(
-            this.renderer.createRenderPrimitive(glPrimitive, material));
+        let renderPrimitive = this.renderer.createRenderPrimitive(glPrimitive, material);
+        glMesh.primitives.push(renderPrimitive);
+
+        let variantsExt = primitive.extensions && primitive.extensions.KHR_materials_variants;
+        if (variantsExt) {
+          let variantMaterials = {};
+          for (let mapping of variantsExt.mappings) {
+            for (let variantIndex of mapping.variants) {
+              variantMaterials[variantIndex] = materials[mapping.material];
+            }
+          }
+          variantMappings.push({
+            renderPrimitive: renderPrimitive,
+            defaultMaterial: material,
+            variantMaterials: variantMaterials,
+          });
+        }
       }
     }
 
-    let sceneNode = new Node();
-    let scene = json.scenes[json.scene];
+    let sceneNode = new Gltf2Scene();
+    let glNodes = [];
+
+    let variantsExt = json.extensions && json.extensions.KHR_materials_variants;
+    if (variantsExt) {
+      sceneNode.variants = variantsExt.variants.map((variant, i) => variant.name || `variant_${i}`);
+      sceneNode._variantMappings = variantMappings;
+    }
+    let scene = json.scenes[json.scene || 0];
     for (let nodeId of scene.nodes) {
       let node = json.nodes[nodeId];
-      sceneNode.addNode(
-          this.processNodes(node, json.nodes, meshes));
+      let glNode = this.processNodes(node, json.nodes, meshes, glNodes);
+      glNodes[nodeId] = glNode;
+      sceneNode.addNode(glNode);
+    }
+
+    // Skins can only be resolved once every joint node has been created.
+    let skins = [];
+    if (json.skins) {
+      for (let skin of json.skins) {
+        let joints = skin.joints.map((nodeId) => glNodes[nodeId] || null);
+        let glSkin = new Skin(joints);
+        if ('inverseBindMatrices' in skin) {
+          sceneNode._dataPromises.push(
+              accessors[skin.inverseBindMatrices].typedArray().then((inverseBindMatrices) => {
+                glSkin.inverseBindMatrices = inverseBindMatrices;
+              }));
+        }
+        skins.push(glSkin);
+      }
+
+      for (let nodeId = 0; nodeId < json.nodes.length; ++nodeId) {
+        let node = json.nodes[nodeId];
+        if ('skin' in node && glNodes[nodeId]) {
+          glNodes[nodeId].skin = skins[node.skin];
+        }
+      }
+    }
+
+    let lightsExt = json.extensions && json.extensions.KHR_lights_punctual;
+    if (lightsExt) {
+      for (let nodeId = 0; nodeId < json.nodes.length; ++nodeId) {
+        let node = json.nodes[nodeId];
+        let nodeLight = node.extensions && node.extensions.KHR_lights_punctual;
+        if (!nodeLight || !glNodes[nodeId]) {
+          continue;
+        }
+
+        let light = lightsExt.lights[nodeLight.light];
+        let options = {
+          type: light.type,
+          color: light.color,
+          intensity: light.intensity,
+          range: light.range,
+        };
+        if (light.spot) {
+          options.innerConeAngle = light.spot.innerConeAngle;
+          options.outerConeAngle = light.spot.outerConeAngle;
+        }
+
+        let lightNode = new PunctualLightNode(options);
+        lightNode.name = light.name;
+        glNodes[nodeId].addNode(lightNode);
+        sceneNode.lights.push(lightNode);
+      }
+    }
+
+    if (json.animations) {
+      for (let i = 0; i < json.animations.length; ++i) {
+        let animation = json.animations[i];
+        let samplers = [];
+        for (let sampler of animation.samplers) {
+          let glSampler = new AnimationSampler(sampler.interpolation || 'LINEAR');
+          sceneNode._dataPromises.push(Promise.all([
+            accessors[sampler.input].typedArray(),
+            accessors[sampler.output].typedArray(),
+          ]).then(([input, output]) => {
+            glSampler.input = input;
+            glSampler.output = output;
+          }));
+          samplers.push(glSampler);
+        }
+
+        let channels = [];
+        for (let channel of animation.channels) {
+          let target = channel.target;
+          if (!('node' in target) || !glNodes[target.node]) {
+            continue;
+          }
+          channels.push(new AnimationChannel(glNodes[target.node], target.path, samplers[channel.sampler]));
+        }
+
+        sceneNode.animations.push(new AnimationClip(animation.name || `animation_${i}`, channels));
+      }
     }
 
     return sceneNode;
   }
 
-  processNodes(node, nodes, meshes) {
+  _setMorphTargets(glPrimitive, targets, accessors, vertexCount) {
+    if (targets.length > MAX_MORPH_TARGETS) {
+      console.warn(`Primitive has ${targets.length} morph targets, only the first ${MAX_MORPH_TARGETS} will be used.`);
+      targets = targets.slice(0, MAX_MORPH_TARGETS);
+    }
+
+    let attributes = ['POSITION', 'NORMAL', 'TANGENT'].filter((name) => name in targets[0]);
+
+    let deltaPromises = [];
+    for (let target of targets) {
+      for (let name of attributes) {
+        deltaPromises.push(accessors[target[name]].typedArray());
+      }
+    }
+
+    // Pack every delta into an RGBA texel, grouped by target then attribute.
+    let data = Promise.all(deltaPromises).then((deltas) => {
+      let texels = new Float32Array(deltas.length * vertexCount * 4);
+      for (let i = 0; i < deltas.length; ++i) {
+        let delta = deltas[i];
+        let offset = i * vertexCount * 4;
+        for (let v = 0; v < vertexCount; ++v) {
+          texels[offset + v * 4] = delta[v * 3];
+          texels[offset + v * 4 + 1] = delta[v * 3 + 1];
+          texels[offset + v * 4 + 2] = delta[v * 3 + 2];
+        }
+      }
+      return texels;
+    });
+
+    glPrimitive.setMorphTargets(targets.length, attributes, vertexCount, data);
+  }
+
+  processNodes(node, nodes, meshes, glNodes) {
     let glNode = new Node();
     glNode.name = node.name;
 
@@ -313,6 +509,15 @@ export class Gltf2Loader {
       for (let primitive of mesh.primitives) {
         glNode.addRenderPrimitive(primitive);
       }
+
+      if (mesh.targetCount) {
+        // Each node gets its own weights so instances can be posed separately.
+        glNode.morphWeights = new Float32Array(mesh.targetCount);
+        let weights = node.weights || mesh.weights;
+        if (weights) {
+          glNode.morphWeights.set(weights.slice(0, mesh.targetCount));
+        }
+      }
     }
 
     if (node.matrix) {
@@ -334,7 +539,11 @@ export class Gltf2Loader {
     if (node.children) {
       for (let nodeId of node.children) {
         let node = nodes[nodeId];
-        glNode.addNode(this.processNodes(node, nodes, meshes));
+        let childNode = this.processNodes(node, nodes, meshes, glNodes);
+        if (glNodes) {
+          glNodes[nodeId] = childNode;
+        }
+        glNode.addNode(childNode);
       }
     }
 
@@ -342,9 +551,117 @@ export class Gltf2Loader {
   }
 }
 
+// Root node of a loaded glTF scene, which also carries the file-level data
+// that isn't part of the node hierarchy.
+class Gltf2Scene extends Node {
+  constructor() {
+    super();
+    this.animations = [];
+    // PunctualLightNodes created from KHR_lights_punctual.
+    this.lights = [];
+    // Names of the KHR_materials_variants variants, in file order.
+    this.variants = [];
+
+    this._variantMappings = [];
+    this._dataPromises = [];
+  }
+
+  // Switches every primitive to the material mapped to the named variant, or
+  // back to its default material if it has no mapping or |name| is null.
+  selectVariant(name) {
+    let variantIndex = -1;
+    if (name != null) {
+      variantIndex = this.variants.indexOf(name);
+      if (variantIndex == -1) {
+        throw new Error(`Unknown material variant "${name}"`);
+      }
+    }
+
+    for (let mapping of this._variantMappings) {
+      let material = mapping.variantMaterials[variantIndex] || mapping.defaultMaterial;
+      this._renderer.setRenderPrimitiveMaterial(mapping.renderPrimitive, material);
+    }
+  }
+
+  waitForComplete() {
+    return Promise.all([super.waitForComplete(), ...this._dataPromises]).then(() => this);
+  }
+}
+
 class Gltf2Mesh {
   constructor() {
     this.primitives = [];
+    this.targetCount = 0;
+    this.weights = null;
+  }
+}
+
+class Gltf2Accessor {
+  constructor(json, bufferViews) {
+    this.json = json;
+    this.bufferView = ('bufferView' in json) ? bufferViews[json.bufferView] : null;
+    this.sparseIndicesView = json.sparse ? bufferViews[json.sparse.indices.bufferView] : null;
+    this.sparseValuesView = json.sparse ? bufferViews[json.sparse.values.bufferView] : null;
+
+    this._arrayPromise = null;
+  }
+
+  // Resolves to a tightly packed Float32Array copy of the accessor data, with
+  // any byte stride, normalization and sparse substitution already applied.
+  // Intended for data consumed on the CPU, such as skins and animations.
+  typedArray() {
+    if (!this._arrayPromise) {
+      let json = this.json;
+      let componentCount = getComponentCount(json.type);
+      let dataPromises = [
+        this.bufferView ? this.bufferView.dataView() : null,
+        this.sparseIndicesView ? this.sparseIndicesView.dataView() : null,
+        this.sparseValuesView ? this.sparseValuesView.dataView() : null,
+      ];
+
+      this._arrayPromise = Promise.all(dataPromises).then(([dataView, indicesView, valuesView]) => {
+        let array = new Float32Array(json.count * componentCount);
+
+        if (dataView) {
+          let componentSize = getComponentSize(json.componentType);
+          let stride = this.bufferView.byteStride || (componentSize * componentCount);
+          this._readElements(array, dataView, json.byteOffset || 0, stride,
+                             json.componentType, componentCount, json.count);
+        }
+
+        if (json.sparse) {
+          let sparse = json.sparse;
+          let valueSize = getComponentSize(json.componentType) * componentCount;
+          let indexSize = getComponentSize(sparse.indices.componentType);
+          let values = new Float32Array(sparse.count * componentCount);
+          this._readElements(values, valuesView, sparse.values.byteOffset || 0, valueSize,
+                             json.componentType, componentCount, sparse.count);
+
+          for (let i = 0; i < sparse.count; ++i) {
+            let index = readComponent(indicesView, (sparse.indices.byteOffset || 0) + i * indexSize,
+                                      sparse.indices.componentType);
+            for (let c = 0; c < componentCount; ++c) {
+              array[index * componentCount + c] = values[i * componentCount + c];
+            }
+          }
+        }
+
+        return array;
+      });
+    }
+    return this._arrayPromise;
+  }
+
+  _readElements(out, dataView, byteOffset, stride, componentType, componentCount, count) {
+    let componentSize = getComponentSize(componentType);
+    let normalized = this.json.normalized;
+    for (let i = 0; i < count; ++i) {
+      let elementOffset = byteOffset + i * stride;
+      for (let c = 0; c < componentCount; ++c) {
+        let value = readComponent(dataView, elementOffset + c * componentSize, componentType);
+        out[i * componentCount + c] = normalized ? normalizeComponent(value, componentType) : value;
+      }
+    }
   }
 }
 
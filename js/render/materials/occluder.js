@@ -0,0 +1,50 @@
+/*
+Material for geometry that stands in for real world surfaces. It writes depth
+but no color, so the camera feed stays visible while any virtual content
+behind the surface is hidden. It uses RENDER_ORDER.OCCLUDER to draw before
+everything else.
+
+|depthOffset| pushes the surface away from the viewer by that many meters, so
+content resting on it doesn't z-fight with it.
+*/
+
+import {Material, RENDER_ORDER} from '../core/material.js';
+
+export class OccluderMaterial extends Material {
+  constructor() {
+    super();
+
+    this.renderOrder = RENDER_ORDER.OCCLUDER;
+    this.state.colorMask = false;
+    this.state.cullFace = false;
+
+    this.depthOffset = this.defineUniform('depthOffset', 0.0);
+  }
+
+  get materialName() {
+    return 'OCCLUDER_MATERIAL';
+  }
+
+  get vertexSource() {
+    return `
+    uniform float depthOffset;
+
+    in vec3 POSITION;
+
+    vec4 vertex_main(mat4 proj, mat4 view, mat4 model) {
+      vec4 viewPosition = view * model * vec4(POSITION, 1.0);
+      float viewDistance = length(viewPosition.xyz);
+      if (viewDistance > 0.0) {
+        viewPosition.xyz *= (viewDistance + depthOffset) / viewDistance;
+      }
+      return proj * viewPosition;
+    }`;
+  }
+
+  get fragmentSource() {
+    return `
+    vec4 fragment_main() {
+      return vec4(0.0);
+    }`;
+  }
+}
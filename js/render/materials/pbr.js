@@ -19,7 +19,8 @@
 // SOFTWARE.
 
 import {Material} from '../core/material.js';
-import {ATTRIB_MASK} from '../core/renderer.js';
+import {ATTRIB_MASK, MAX_LIGHTS, MORPH_TEXTURE_WIDTH} from '../core/renderer.js';
+import {MAX_JOINTS} from '../core/skin.js';
 
 const VERTEX_SOURCE = `
 in vec3 POSITION, NORMAL;
@@ -30,6 +31,7 @@ uniform vec3 LIGHT_DIRECTION;
 
 out vec3 vLight; // Vector from vertex to light.
 out vec3 vView; // Vector from vertex to camera.
+out vec3 vWorldPos;
 out vec2 vTex;
 
 #ifdef USE_NORMAL_MAP
@@ -44,10 +46,58 @@ in vec4 COLOR_0;
 out vec4 vCol;
 #endif
 
+#ifdef USE_SKINNING
+in vec4 JOINTS_0, WEIGHTS_0;
+uniform mat4 JOINT_MATRICES[MAX_JOINTS];
+#endif
+
+#ifdef USE_MORPH_TARGETS
+uniform highp sampler2D MORPH_TARGETS;
+uniform int MORPH_VERTEX_COUNT;
+uniform float MORPH_WEIGHTS[MORPH_TARGET_COUNT];
+
+vec3 getMorphDelta(int target, int slot) {
+  int index = (target * MORPH_ATTRIBUTE_COUNT + slot) * MORPH_VERTEX_COUNT + gl_VertexID;
+  return texelFetch(MORPH_TARGETS, ivec2(index % MORPH_TEXTURE_WIDTH, index / MORPH_TEXTURE_WIDTH), 0).xyz;
+}
+#endif
+
 vec4 vertex_main(mat4 proj, mat4 view, mat4 model) {
-  vec3 n = normalize(vec3(model * vec4(NORMAL, 0.0)));
+#ifdef USE_SKINNING
+  mat4 skinMatrix = WEIGHTS_0.x * JOINT_MATRICES[int(JOINTS_0.x)] +
+                    WEIGHTS_0.y * JOINT_MATRICES[int(JOINTS_0.y)] +
+                    WEIGHTS_0.z * JOINT_MATRICES[int(JOINTS_0.z)] +
+                    WEIGHTS_0.w * JOINT_MATRICES[int(JOINTS_0.w)];
+  model = model * skinMatrix;
+#endif
+
+  vec3 position = POSITION;
+  vec3 normal = NORMAL;
 #ifdef USE_NORMAL_MAP
-  vec3 t = normalize(vec3(model * vec4(TANGENT.xyz, 0.0)));
+  vec3 tangent = TANGENT.xyz;
+#endif
+
+#ifdef USE_MORPH_TARGETS
+  for (int i = 0; i < MORPH_TARGET_COUNT; ++i) {
+    float weight = MORPH_WEIGHTS[i];
+    if (weight == 0.0) {
+      continue;
+    }
+#ifdef MORPH_POSITION_SLOT
+    position += weight * getMorphDelta(i, MORPH_POSITION_SLOT);
+#endif
+#ifdef MORPH_NORMAL_SLOT
+    normal += weight * getMorphDelta(i, MORPH_NORMAL_SLOT);
+#endif
+#if defined(MORPH_TANGENT_SLOT) && defined(USE_NORMAL_MAP)
+    tangent += weight * getMorphDelta(i, MORPH_TANGENT_SLOT);
+#endif
+  }
+#endif
+
+  vec3 n = normalize(vec3(model * vec4(normal, 0.0)));
+#ifdef USE_NORMAL_MAP
+  vec3 t = normalize(vec3(model * vec4(tangent, 0.0)));
   vec3 b = cross(n, t) * TANGENT.w;
   vTBN = mat3(t, b, n);
 #else
@@ -59,9 +109,10 @@ vec4 vertex_main(mat4 proj, mat4 view, mat4 model) {
 #endif
 
   vTex = TEXCOORD_0;
-  vec4 mPos = model * vec4(POSITION, 1.0);
+  vec4 mPos = model * vec4(position, 1.0);
   vLight = -LIGHT_DIRECTION;
   vView = CAMERA_POSITION - mPos.xyz;
+  vWorldPos = mPos.xyz;
   return proj * view * mPos;
 }`;
 
@@ -90,6 +141,160 @@ vec3 specF(float vDotH, vec3 F0) {
   float exponent = (-5.55473 * vDotH - 6.98316) * vDotH;
   float base = 2.0;
   return F0 + (1.0 - F0) * pow(base, exponent);
+}
+
+vec3 specularBRDF(vec3 n, vec3 l, vec3 v, vec3 F0, float roughness) {
+  vec3 h = normalize(l+v);
+  float nDotL = clamp(dot(n, l), 0.001, 1.0);
+  float nDotV = abs(dot(n, v)) + 0.001;
+  float nDotH = max(dot(n, h), 0.0);
+  float vDotH = max(dot(v, h), 0.0);
+  float a = roughness * roughness;
+
+  vec3 F = specF(vDotH, F0);
+  float D = specD(a, nDotH);
+  float G = specG(roughness, nDotL, nDotV);
+  return (D * F * G) / (4.0 * nDotL * nDotV);
+}`;
+
+// Irradiance from nine RGB spherical harmonics coefficients, in the order used
+// by WebXR's XRLightEstimate. AMBIENT_SH comes from light estimation.
+const AMBIENT_SH_FUNCTIONS = `
+uniform vec3 AMBIENT_SH[9];
+
+vec3 evaluateSH(vec3 sh[9], vec3 n) {
+  vec3 irradiance = sh[0] * 0.282095 +
+                    sh[1] * 0.488603 * n.y +
+                    sh[2] * 0.488603 * n.z +
+                    sh[3] * 0.488603 * n.x +
+                    sh[4] * 1.092548 * n.x * n.y +
+                    sh[5] * 1.092548 * n.y * n.z +
+                    sh[6] * 0.315392 * (3.0 * n.z * n.z - 1.0) +
+                    sh[7] * 1.092548 * n.x * n.z +
+                    sh[8] * 0.546274 * (n.x * n.x - n.y * n.y);
+  return max(irradiance, vec3(0.0));
+}`;
+
+// Image based lighting from the renderer's environment map, using SH for the
+// diffuse term and the split-sum approximation for the specular term.
+const IBL_FUNCTIONS = `
+uniform mediump samplerCube ENV_SPECULAR;
+uniform mediump sampler2D BRDF_LUT;
+uniform vec3 ENV_SH[9];
+uniform float ENV_INTENSITY;
+uniform float ENV_MIP_COUNT;
+
+vec3 environmentLighting(vec3 n, vec3 v, vec3 cDiff, vec3 F0, float roughness) {
+  if (ENV_INTENSITY <= 0.0) {
+    return vec3(0.0);
+  }
+
+  float nDotV = clamp(abs(dot(n, v)), 0.001, 1.0);
+  vec3 r = reflect(-v, n);
+  vec3 prefiltered = textureLod(ENV_SPECULAR, r, roughness * (ENV_MIP_COUNT - 1.0)).rgb;
+  vec2 brdf = texture(BRDF_LUT, vec2(nDotV, roughness)).rg;
+  vec3 specular = prefiltered * (F0 * brdf.x + brdf.y);
+
+  vec3 diffuse = evaluateSH(ENV_SH, n) * lambertDiffuse(cDiff);
+  return (diffuse + specular) * ENV_INTENSITY;
+}`;
+
+// Punctual lights, following the KHR_lights_punctual attenuation model.
+// LIGHT_PARAMS packs (type, range, spot angle scale, spot angle offset) for
+// each light, where type is 0 for directional, 1 for point and 2 for spot.
+const PUNCTUAL_LIGHT_FUNCTIONS = `
+uniform int LIGHT_COUNT;
+uniform vec3 LIGHT_POSITIONS[MAX_LIGHTS];
+uniform vec3 LIGHT_DIRECTIONS[MAX_LIGHTS];
+uniform vec3 LIGHT_COLORS[MAX_LIGHTS];
+uniform vec4 LIGHT_PARAMS[MAX_LIGHTS];
+
+float rangeAttenuation(float range, float distance) {
+  float distanceSqr = max(distance * distance, 0.0001);
+  if (range <= 0.0) {
+    return 1.0 / distanceSqr;
+  }
+  float ratio = distance / range;
+  return clamp(1.0 - ratio * ratio * ratio * ratio, 0.0, 1.0) / distanceSqr;
+}
+
+float spotAttenuation(vec3 l, vec3 spotDirection, float angleScale, float angleOffset) {
+  float cd = dot(spotDirection, -l);
+  float attenuation = clamp(cd * angleScale + angleOffset, 0.0, 1.0);
+  return attenuation * attenuation;
+}
+
+vec3 punctualLighting(vec3 n, vec3 v, vec3 cDiff, vec3 F0, float roughness) {
+  vec3 color = vec3(0.0);
+  for (int i = 0; i < MAX_LIGHTS; ++i) {
+    if (i >= LIGHT_COUNT) {
+      break;
+    }
+
+    vec4 params = LIGHT_PARAMS[i];
+    vec3 l;
+    float attenuation = 1.0;
+    if (params.x == 0.0) {
+      l = -LIGHT_DIRECTIONS[i];
+    } else {
+      vec3 toLight = LIGHT_POSITIONS[i] - vWorldPos;
+      float distance = length(toLight);
+      l = toLight / max(distance, 0.0001);
+      attenuation = rangeAttenuation(params.y, distance);
+      if (params.x == 2.0) {
+        attenuation *= spotAttenuation(l, LIGHT_DIRECTIONS[i], params.z, params.w);
+      }
+    }
+
+    float nDotL = dot(n, l);
+    if (nDotL <= 0.0 || attenuation <= 0.0) {
+      continue;
+    }
+
+#ifdef FULLY_ROUGH
+    vec3 specular = F0 * 0.45;
+#else
+    vec3 specular = specularBRDF(n, l, v, F0, roughness);
+#endif
+    color += LIGHT_COLORS[i] * attenuation * nDotL * (lambertDiffuse(cDiff) + specular);
+  }
+  return color;
+}`;
+
+// Color textures are authored in sRGB but lighting happens in linear space.
+// The final color is exposed, tone mapped and encoded for the output
+// framebuffer according to the renderer's settings.
+const COLOR_FUNCTIONS = `
+uniform float EXPOSURE;
+uniform int TONE_MAPPING;
+uniform bool OUTPUT_SRGB;
+
+vec3 sRGBToLinear(vec3 color) {
+  return mix(color / 12.92, pow((color + 0.055) / 1.055, vec3(2.4)), step(0.04045, color));
+}
+
+vec3 linearToSRGB(vec3 color) {
+  return mix(color * 12.92, 1.055 * pow(color, vec3(1.0 / 2.4)) - 0.055, step(0.0031308, color));
+}
+
+// Krzysztof Narkowicz's fit of the ACES filmic curve.
+vec3 toneMapACES(vec3 color) {
+  return clamp((color * (2.51 * color + 0.03)) / (color * (2.43 * color + 0.59) + 0.14), 0.0, 1.0);
+}
+
+vec3 toneMapReinhard(vec3 color) {
+  return color / (1.0 + color);
+}
+
+vec3 encodeOutput(vec3 color) {
+  color *= EXPOSURE;
+  if (TONE_MAPPING == 1) {
+    color = toneMapACES(color);
+  } else if (TONE_MAPPING == 2) {
+    color = toneMapReinhard(color);
+  }
+  color = clamp(color, 0.0, 1.0);
+  return OUTPUT_SRGB ? linearToSRGB(color) : color;
 }`;
 
 const FRAGMENT_SOURCE = `
@@ -102,6 +307,7 @@ uniform sampler2D baseColorTex;
 
 in vec3 vLight;
 in vec3 vView;
+in vec3 vWorldPos;
 in vec2 vTex;
 
 #ifdef USE_VERTEX_COLOR
@@ -136,10 +342,15 @@ const vec3 dielectricSpec = vec3(0.04);
 const vec3 black = vec3(0.0);
 
 ${EPIC_PBR_FUNCTIONS}
+${COLOR_FUNCTIONS}
+${AMBIENT_SH_FUNCTIONS}
+${IBL_FUNCTIONS}
+${PUNCTUAL_LIGHT_FUNCTIONS}
 
 vec4 fragment_main() {
 #ifdef USE_BASE_COLOR_MAP
-  vec4 baseColor = texture(baseColorTex, vTex) * baseColorFactor;
+  vec4 baseColorTexel = texture(baseColorTex, vTex);
+  vec4 baseColor = vec4(sRGBToLinear(baseColorTexel.rgb), baseColorTexel.a) * baseColorFactor;
 #else
   vec4 baseColor = baseColorFactor;
 #endif
@@ -171,30 +382,23 @@ vec4 fragment_main() {
   
   vec3 l = normalize(vLight);
   vec3 v = normalize(vView);
-  vec3 h = normalize(l+v);
-
-  float nDotL = clamp(dot(n, l), 0.001, 1.0);
-  float nDotV = abs(dot(n, v)) + 0.001;
-  float nDotH = max(dot(n, h), 0.0);
-  float vDotH = max(dot(v, h), 0.0);
 
   // From GLTF Spec
   vec3 cDiff = mix(baseColor.rgb * (1.0 - dielectricSpec.r), black, metallic); // Diffuse color
   vec3 F0 = mix(dielectricSpec, baseColor.rgb, metallic); // Specular color
-  float a = roughness * roughness;
 
 #ifdef FULLY_ROUGH
   vec3 specular = F0 * 0.45;
 #else
-  vec3 F = specF(vDotH, F0);
-  float D = specD(a, nDotH);
-  float G = specG(roughness, nDotL, nDotV);
-  vec3 specular = (D * F * G) / (4.0 * nDotL * nDotV);
+  vec3 specular = specularBRDF(n, l, v, F0, roughness);
 #endif
   float halfLambert = dot(n, l) * 0.5 + 0.5;
   halfLambert *= halfLambert;
 
   vec3 color = (halfLambert * LIGHT_COLOR * lambertDiffuse(cDiff)) + specular;
+  color += punctualLighting(n, v, cDiff, F0, roughness);
+  color += evaluateSH(AMBIENT_SH, n) * lambertDiffuse(cDiff);
+  color += environmentLighting(n, v, cDiff, F0, roughness);
 
 #ifdef USE_OCCLUSION
   float occlusion = texture(occlusionTex, vTex).r;
@@ -203,14 +407,11 @@ vec4 fragment_main() {
   
   vec3 emissive = emissiveFactor;
 #ifdef USE_EMISSIVE_TEXTURE
-  emissive *= texture(emissiveTex, vTex).rgb;
+  emissive *= sRGBToLinear(texture(emissiveTex, vTex).rgb);
 #endif
   color += emissive;
 
-  // gamma correction
-  //color = pow(color, vec3(1.0/2.2));
-
-  return vec4(color, baseColor.a);
+  return vec4(encodeOutput(color), baseColor.a);
 }`;
 
 export class PbrMaterial extends Material {
@@ -244,10 +445,29 @@ export class PbrMaterial extends Material {
   getProgramDefines(renderPrimitive) {
     let programDefines = {};
 
+    programDefines['MAX_LIGHTS'] = MAX_LIGHTS;
+
     if (renderPrimitive._attributeMask & ATTRIB_MASK.COLOR_0) {
       programDefines['USE_VERTEX_COLOR'] = 1;
     }
 
+    if ((renderPrimitive._attributeMask & ATTRIB_MASK.JOINTS_0) &&
+        (renderPrimitive._attributeMask & ATTRIB_MASK.WEIGHTS_0)) {
+      programDefines['USE_SKINNING'] = 1;
+      programDefines['MAX_JOINTS'] = MAX_JOINTS;
+    }
+
+    let morphTargets = renderPrimitive._morphTargets;
+    if (morphTargets) {
+      programDefines['USE_MORPH_TARGETS'] = 1;
+      programDefines['MORPH_TARGET_COUNT'] = morphTargets.targetCount;
+      programDefines['MORPH_ATTRIBUTE_COUNT'] = morphTargets.attributes.length;
+      programDefines['MORPH_TEXTURE_WIDTH'] = MORPH_TEXTURE_WIDTH;
+      for (let i = 0; i < morphTargets.attributes.length; ++i) {
+        programDefines[`MORPH_${morphTargets.attributes[i]}_SLOT`] = i;
+      }
+    }
+
     if (renderPrimitive._attributeMask & ATTRIB_MASK.TEXCOORD_0) {
       if (this.baseColor.texture) {
         programDefines['USE_BASE_COLOR_MAP'] = 1;
@@ -18,6 +18,7 @@
 // OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
 // SOFTWARE.
 
+import {AnimationMixer} from '../core/animation.js';
 import {Node} from '../core/node.js';
 import {Gltf2Loader} from '../loaders/gltf2.js';
 
@@ -33,6 +34,16 @@ export class Gltf2Node extends Node {
     this._promise = null;
     this._resolver = null;
     this._rejecter = null;
+
+    this._animations = [];
+    this._pendingPlay = null;
+    this._sceneNode = null;
+    this._variant = null;
+    this._events = new EventTarget();
+    this._mixer = new AnimationMixer();
+    this._mixer.onFinished = (clip) => {
+      this._events.dispatchEvent(new CustomEvent('finished', {detail: {animation: clip.name}}));
+    };
   }
 
   onRendererChanged(renderer) {
@@ -51,6 +62,29 @@ export class Gltf2Node extends Node {
 
     loader.loadFromUrl(this._url).then((sceneNode) => {
       this.addNode(sceneNode);
+      this._sceneNode = sceneNode;
+
+      if (this._variant != null) {
+        if (sceneNode.variants.includes(this._variant)) {
+          sceneNode.selectVariant(this._variant);
+        } else {
+          console.warn(`${this._url} has no material variant named "${this._variant}"`);
+          this._variant = null;
+        }
+      }
+
+      this._animations = sceneNode.animations;
+      this._mixer.stop();
+      if (this._pendingPlay) {
+        let pending = this._pendingPlay;
+        this._pendingPlay = null;
+        if (this._findAnimation(pending.name)) {
+          this.play(pending.name, pending.options);
+        } else {
+          console.warn(`${this._url} has no animation named "${pending.name}"`);
+        }
+      }
+
       this._resolver(sceneNode.waitForComplete());
       this._resolver = null;
       this._rejecter = null;
@@ -76,4 +110,81 @@ export class Gltf2Node extends Node {
   waitForComplete() {
     return this._ensurePromise();
   }
+
+  // Names of the KHR_materials_variants variants in the file. Empty until loaded.
+  get variants() {
+    return this._sceneNode ? this._sceneNode.variants : [];
+  }
+
+  get selectedVariant() {
+    return this._variant;
+  }
+
+  // Applies the named material variant without reloading the file, or restores
+  // the default materials if |name| is null. If called before the file has
+  // loaded, the variant is applied once it has.
+  selectVariant(name) {
+    if (this._sceneNode) {
+      this._sceneNode.selectVariant(name);
+    }
+    this._variant = name;
+  }
+
+  // Names of the animation clips in the file. Empty until loaded.
+  get animations() {
+    return this._animations.map((clip) => clip.name);
+  }
+
+  // Plays the named animation clip. Options:
+  //   loop: Whether to repeat the clip. Defaults to true.
+  //   speed: Playback rate multiplier, negative values play in reverse.
+  //   crossFade: Seconds over which to blend from the currently playing clips.
+  // If called before the file has loaded, playback starts once it has.
+  play(name, options = {}) {
+    if (!this._animations.length && !this._resolver && this._promise) {
+      // Loaded, but there are no animations to play.
+      throw new Error(`${this._url} does not contain any animations`);
+    }
+
+    if (!this._animations.length) {
+      this._pendingPlay = {name: name, options: options};
+      return;
+    }
+
+    let clip = this._findAnimation(name);
+    if (!clip) {
+      throw new Error(`${this._url} has no animation named "${name}"`);
+    }
+
+    this._mixer.play(clip, options, options.crossFade || 0);
+  }
+
+  stop() {
+    this._pendingPlay = null;
+    this._mixer.stop();
+  }
+
+  // Whether a clip is still advancing. Non-looping clips that reached their
+  // end are held on their last frame, but no longer count as playing.
+  get playing() {
+    return this._mixer.actions.some((action) => !action.finished);
+  }
+
+  // Supports the 'finished' event, dispatched with the clip name in
+  // event.detail.animation when a non-looping clip reaches its end.
+  addEventListener(type, listener) {
+    this._events.addEventListener(type, listener);
+  }
+
+  removeEventListener(type, listener) {
+    this._events.removeEventListener(type, listener);
+  }
+
+  onUpdate(timestamp, frameDelta) {
+    this._mixer.update(frameDelta / 1000.0);
+  }
+
+  _findAnimation(name) {
+    return this._animations.find((clip) => clip.name == name) || null;
+  }
 }
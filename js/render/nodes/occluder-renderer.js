@@ -0,0 +1,128 @@
+/*
+Turns the planes and meshes reported by the WebXR plane-detection and
+mesh-detection modules into invisible occluders, so virtual content behind a
+real wall or piece of furniture is hidden. Call update() every frame with the
+XRFrame: occluders are added and removed as the real world geometry comes
+and goes, and rebuilt whenever it changes.
+*/
+
+import {Node} from '../core/node.js';
+import {Primitive, PrimitiveAttribute} from '../core/primitive.js';
+import {PolygonBuilder} from '../geometry/polygon-builder.js';
+import {OccluderMaterial} from '../materials/occluder.js';
+
+const GL = WebGLRenderingContext; // For enums
+
+// Occluders are pushed back a little so that content resting on them, like the
+// placed models, shadow catchers and plane grid, isn't hidden along with
+// what's behind them. Planes are moved along their normal, meshes away from
+// the viewer since their triangles face every way.
+const PLANE_OCCLUDER_OFFSET = 0.01;
+const MESH_OCCLUDER_OFFSET = 0.01;
+
+export class OccluderRenderer extends Node {
+  constructor() {
+    super();
+
+    // Occluder nodes keyed by their XRPlane or XRMesh.
+    this._occluderNodes = new Map();
+  }
+
+  update(frame, refSpace) {
+    let detected = new Set();
+    for (let plane of frame.detectedPlanes || []) {
+      detected.add(plane);
+    }
+    for (let mesh of frame.detectedMeshes || []) {
+      detected.add(mesh);
+    }
+
+    for (let [source, occluderNode] of this._occluderNodes) {
+      if (!detected.has(source)) {
+        this._deletePrimitives(occluderNode);
+        this.removeNode(occluderNode);
+        this._occluderNodes.delete(source);
+      }
+    }
+
+    for (let source of detected) {
+      let occluderNode = this._occluderNodes.get(source);
+      if (!occluderNode) {
+        occluderNode = new Node();
+        occluderNode.lastChangedTime = -1;
+        this._occluderNodes.set(source, occluderNode);
+        this.addNode(occluderNode);
+      }
+
+      if (occluderNode.lastChangedTime != source.lastChangedTime && this._renderer) {
+        this._deletePrimitives(occluderNode);
+        if (source.polygon) {
+          this._buildPlane(occluderNode, source.polygon);
+        } else {
+          this._buildMesh(occluderNode, source.vertices, source.indices);
+        }
+        occluderNode.lastChangedTime = source.lastChangedTime;
+      }
+
+      let pose = frame.getPose(source.planeSpace || source.meshSpace, refSpace);
+      occluderNode.visible = !!pose;
+      if (pose) {
+        occluderNode.matrix = pose.transform.matrix;
+      }
+    }
+  }
+
+  clearOccluders() {
+    for (let occluderNode of this._occluderNodes.values()) {
+      this._deletePrimitives(occluderNode);
+      this.removeNode(occluderNode);
+    }
+    this._occluderNodes.clear();
+  }
+
+  // Scanned meshes can be large and change often, so their old geometry is
+  // freed as soon as it's replaced.
+  _deletePrimitives(occluderNode) {
+    for (let renderPrimitive of occluderNode.renderPrimitives || []) {
+      this._renderer.deleteRenderPrimitive(renderPrimitive);
+    }
+    occluderNode.clearRenderPrimitives();
+  }
+
+  _buildPlane(occluderNode, polygon) {
+    let builder = new PolygonBuilder();
+    if (!builder.pushPolygon(polygon, -PLANE_OCCLUDER_OFFSET)) {
+      return;
+    }
+
+    let primitive = builder.finishPrimitive(this._renderer);
+    occluderNode.addRenderPrimitive(this._renderer.createRenderPrimitive(
+        primitive, new OccluderMaterial()));
+  }
+
+  // |vertices| holds three floats per vertex and |indices| three vertex
+  // indices per triangle, as given by XRMesh.
+  _buildMesh(occluderNode, vertices, indices) {
+    if (!vertices || !indices || !indices.length) {
+      return;
+    }
+
+    // Scanned meshes can easily go past the 16 bit index range.
+    let vertexCount = vertices.length / 3;
+    let indexType = vertexCount > 0xFFFF ? GL.UNSIGNED_INT : GL.UNSIGNED_SHORT;
+    let indexData = indexType == GL.UNSIGNED_INT ? new Uint32Array(indices) : new Uint16Array(indices);
+
+    let vertexBuffer = this._renderer.createRenderBuffer(GL.ARRAY_BUFFER, new Float32Array(vertices));
+    let indexBuffer = this._renderer.createRenderBuffer(GL.ELEMENT_ARRAY_BUFFER, indexData);
+
+    let primitive = new Primitive([
+      new PrimitiveAttribute('POSITION', vertexBuffer, 3, GL.FLOAT, 12, 0),
+    ], indexData.length);
+    primitive.setIndexBuffer(indexBuffer, 0, indexType);
+
+    let material = new OccluderMaterial();
+    material.depthOffset.value = MESH_OCCLUDER_OFFSET;
+    occluderNode.addRenderPrimitive(this._renderer.createRenderPrimitive(
+        primitive, material));
+  }
+}
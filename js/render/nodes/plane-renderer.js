@@ -0,0 +1,154 @@
+/*
+Renders the planes reported by the WebXR plane-detection module as a subtle
+grid with a slow ripple running across it. Call update() every frame with the
+XRFrame: planes are added and removed as they come and go, and a plane's
+geometry is rebuilt whenever its polygon changes.
+*/
+
+import {Material} from '../core/material.js';
+import {Node} from '../core/node.js';
+import {PolygonBuilder} from '../geometry/polygon-builder.js';
+
+const GL = WebGLRenderingContext; // For enums
+
+const PLANE_GROUND_OFFSET = 0.002;
+
+class PlaneGridMaterial extends Material {
+  constructor(color) {
+    super();
+
+    this.state.blend = true;
+    this.state.blendFuncSrc = GL.SRC_ALPHA;
+    this.state.blendFuncDst = GL.ONE_MINUS_SRC_ALPHA;
+    this.state.depthFunc = GL.LEQUAL;
+    this.state.depthMask = false;
+    this.state.cullFace = false;
+
+    this.gridColor = this.defineUniform('gridColor', color);
+    this.gridTime = this.defineUniform('gridTime', 0.0);
+  }
+
+  get materialName() {
+    return 'PLANE_GRID_MATERIAL';
+  }
+
+  get vertexSource() {
+    return `
+    in vec3 POSITION;
+
+    out vec2 vPlanePos;
+
+    vec4 vertex_main(mat4 proj, mat4 view, mat4 model) {
+      vPlanePos = POSITION.xz;
+      return proj * view * model * vec4(POSITION, 1.0);
+    }`;
+  }
+
+  get fragmentSource() {
+    return `
+    uniform vec4 gridColor;
+    uniform float gridTime;
+
+    in vec2 vPlanePos;
+
+    const float CELL_SIZE = 0.1; // Meters
+    const float RIPPLE_SPEED = 0.4; // Meters per second
+    const float RIPPLE_PERIOD = 4.0; // Seconds
+
+    vec4 fragment_main() {
+      // Anti-aliased grid lines, about a pixel wide at any distance.
+      vec2 cell = vPlanePos / CELL_SIZE;
+      vec2 grid = abs(fract(cell - 0.5) - 0.5) / fwidth(cell);
+      float line = 1.0 - min(min(grid.x, grid.y), 1.0);
+
+      // A ring expanding from the plane's center brightens the grid as it passes.
+      float radius = mod(gridTime, RIPPLE_PERIOD) * RIPPLE_SPEED;
+      float ripple = 1.0 - smoothstep(0.0, 0.15, abs(length(vPlanePos) - radius));
+
+      return vec4(gridColor.rgb, gridColor.a * line * (0.35 + 0.65 * ripple));
+    }`;
+  }
+}
+
+export class PlaneRenderer extends Node {
+  constructor(options = {}) {
+    super();
+
+    this.color = options.color || [1.0, 1.0, 1.0, 0.6];
+    this._planeNodes = new Map();
+  }
+
+  update(frame, refSpace) {
+    let detectedPlanes = frame.detectedPlanes;
+    if (!detectedPlanes) {
+      return;
+    }
+
+    for (let [plane, planeNode] of this._planeNodes) {
+      if (!detectedPlanes.has(plane)) {
+        this._deletePrimitives(planeNode);
+        this.removeNode(planeNode);
+        this._planeNodes.delete(plane);
+      }
+    }
+
+    for (let plane of detectedPlanes) {
+      let planeNode = this._planeNodes.get(plane);
+      if (!planeNode) {
+        planeNode = new Node();
+        planeNode.lastChangedTime = -1;
+        this._planeNodes.set(plane, planeNode);
+        this.addNode(planeNode);
+      }
+
+      if (planeNode.lastChangedTime != plane.lastChangedTime && this._renderer) {
+        this._buildPlane(planeNode, plane.polygon);
+        planeNode.lastChangedTime = plane.lastChangedTime;
+      }
+
+      let planePose = frame.getPose(plane.planeSpace, refSpace);
+      planeNode.visible = !!planePose;
+      if (planePose) {
+        planeNode.matrix = planePose.transform.matrix;
+      }
+    }
+  }
+
+  clearPlanes() {
+    for (let planeNode of this._planeNodes.values()) {
+      this._deletePrimitives(planeNode);
+      this.removeNode(planeNode);
+    }
+    this._planeNodes.clear();
+  }
+
+  onUpdate(timestamp, frameDelta) {
+    for (let planeNode of this._planeNodes.values()) {
+      for (let renderPrimitive of planeNode.renderPrimitives || []) {
+        renderPrimitive.uniforms.gridTime.value = timestamp / 1000.0;
+      }
+    }
+  }
+
+  // Planes change all the time, so their old geometry is freed rather than
+  // left for the renderer to keep around.
+  _deletePrimitives(planeNode) {
+    for (let renderPrimitive of planeNode.renderPrimitives || []) {
+      this._renderer.deleteRenderPrimitive(renderPrimitive);
+    }
+    planeNode.clearRenderPrimitives();
+  }
+
+  _buildPlane(planeNode, polygon) {
+    this._deletePrimitives(planeNode);
+
+    let builder = new PolygonBuilder();
+    if (!builder.pushPolygon(polygon, PLANE_GROUND_OFFSET)) {
+      return;
+    }
+
+    let primitive = builder.finishPrimitive(this._renderer);
+    planeNode.addRenderPrimitive(this._renderer.createRenderPrimitive(
+        primitive, new PlaneGridMaterial(this.color)));
+  }
+}
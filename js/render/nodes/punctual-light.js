@@ -0,0 +1,31 @@
+/*
+Node for directional, point and spot lights, as described by the glTF
+KHR_lights_punctual extension. Lights shine down the node's local -Z axis and
+are collected by the renderer each frame while they are visible, up to
+MAX_LIGHTS at a time.
+*/
+
+import {Node} from '../core/node.js';
+
+export class PunctualLightNode extends Node {
+  constructor(options = {}) {
+    super();
+
+    this.type = options.type || 'directional';
+    this.color = new Float32Array(options.color || [1.0, 1.0, 1.0]);
+    this.intensity = options.intensity !== undefined ? options.intensity : 1.0;
+    // Distance at which the light reaches zero. 0 means infinite.
+    this.range = options.range || 0;
+    // Spot cone angles, in radians.
+    this.innerConeAngle = options.innerConeAngle || 0;
+    this.outerConeAngle = options.outerConeAngle !== undefined ? options.outerConeAngle : Math.PI / 4.0;
+  }
+
+  markActive(frameId) {
+    super.markActive(frameId);
+
+    if (this._renderer) {
+      this._renderer._addActiveLight(this);
+    }
+  }
+}
@@ -0,0 +1,109 @@
+/*
+Pulsing ring drawn on the ground around the selected object. It's purely a
+visual cue: it doesn't write depth or cast shadows, and keeps the same
+radius regardless of the model it surrounds.
+*/
+
+import {Material} from '../core/material.js';
+import {Node} from '../core/node.js';
+import {PrimitiveStream} from '../geometry/primitive-stream.js';
+
+const GL = WebGLRenderingContext; // For enums
+
+const RING_SEGMENTS = 64;
+const RING_GROUND_OFFSET = 0.01;
+const RING_WIDTH = 0.04;
+const RING_PULSE_SPEED = 0.004;
+
+class SelectionRingMaterial extends Material {
+  constructor(color) {
+    super();
+
+    this.state.blend = true;
+    this.state.blendFuncSrc = GL.SRC_ALPHA;
+    this.state.blendFuncDst = GL.ONE_MINUS_SRC_ALPHA;
+    this.state.depthFunc = GL.LEQUAL;
+    this.state.depthMask = false;
+    this.state.cullFace = false;
+
+    this.ringColor = this.defineUniform('ringColor', color);
+    this.ringPulse = this.defineUniform('ringPulse', 1.0);
+  }
+
+  get materialName() {
+    return 'SELECTION_RING_MATERIAL';
+  }
+
+  get vertexSource() {
+    return `
+    in vec3 POSITION;
+    in vec2 TEXCOORD_0;
+
+    out float vEdge;
+
+    vec4 vertex_main(mat4 proj, mat4 view, mat4 model) {
+      vEdge = TEXCOORD_0.x;
+      return proj * view * model * vec4(POSITION, 1.0);
+    }`;
+  }
+
+  get fragmentSource() {
+    return `
+    uniform vec4 ringColor;
+    uniform float ringPulse;
+
+    in float vEdge;
+
+    vec4 fragment_main() {
+      // Soften both edges of the band.
+      float alpha = 1.0 - abs(vEdge * 2.0 - 1.0);
+      return vec4(ringColor.rgb, ringColor.a * smoothstep(0.0, 0.5, alpha) * ringPulse);
+    }`;
+  }
+}
+
+export class SelectionRingNode extends Node {
+  constructor(options = {}) {
+    super();
+
+    this.radius = options.radius || 0.45;
+    this.color = options.color || [0.0, 1.0, 1.0, 0.9];
+    this._ringRenderPrimitive = null;
+  }
+
+  onRendererChanged(renderer) {
+    let stream = new PrimitiveStream();
+
+    stream.startGeometry();
+
+    let inner = this.radius - RING_WIDTH * 0.5;
+    let outer = this.radius + RING_WIDTH * 0.5;
+    for (let i = 0; i < RING_SEGMENTS; ++i) {
+      let rad = ((Math.PI * 2) / RING_SEGMENTS) * i;
+      let x = Math.cos(rad);
+      let z = Math.sin(rad);
+
+      stream.pushVertex(x * inner, RING_GROUND_OFFSET, z * inner, 0.0, 0.0, 0, 1, 0);
+      stream.pushVertex(x * outer, RING_GROUND_OFFSET, z * outer, 1.0, 0.0, 0, 1, 0);
+
+      let next = ((i + 1) % RING_SEGMENTS) * 2;
+      let current = i * 2;
+      stream.pushTriangle(current, current + 1, next + 1);
+      stream.pushTriangle(current, next + 1, next);
+    }
+
+    stream.endGeometry();
+
+    let ringPrimitive = stream.finishPrimitive(renderer);
+    this._ringRenderPrimitive = renderer.createRenderPrimitive(
+        ringPrimitive, new SelectionRingMaterial(this.color));
+    this.addRenderPrimitive(this._ringRenderPrimitive);
+  }
+
+  onUpdate(timestamp, frameDelta) {
+    if (this._ringRenderPrimitive) {
+      this._ringRenderPrimitive.uniforms.ringPulse.value =
+          0.65 + 0.35 * Math.sin(timestamp * RING_PULSE_SPEED);
+    }
+  }
+}
@@ -0,0 +1,136 @@
+/*
+Invisible ground plane that only shows the shadows cast onto it. While it's
+visible the renderer draws a shadow map from the global directional light
+containing its sibling nodes (and their descendants), which the catcher then
+samples with PCF filtering to darken the camera feed underneath the model.
+*/
+
+import {Material} from '../core/material.js';
+import {Node} from '../core/node.js';
+import {PrimitiveStream} from '../geometry/primitive-stream.js';
+
+const GL = WebGLRenderingContext; // For enums
+
+const SHADOW_GROUND_OFFSET = 0.005;
+
+class ShadowCatcherMaterial extends Material {
+  constructor(opacity) {
+    super();
+
+    this.state.blend = true;
+    this.state.blendFuncSrc = GL.ONE;
+    this.state.blendFuncDst = GL.ONE_MINUS_SRC_ALPHA;
+    this.state.depthFunc = GL.LEQUAL;
+    this.state.depthMask = false;
+
+    this.opacity = this.defineUniform('shadowOpacity', opacity);
+  }
+
+  get materialName() {
+    return 'SHADOW_CATCHER_MATERIAL';
+  }
+
+  get vertexSource() {
+    return `
+    in vec3 POSITION;
+    in vec2 TEXCOORD_0;
+
+    uniform mat4 SHADOW_MATRIX;
+
+    out vec4 vShadowCoord;
+    out vec2 vEdge;
+
+    vec4 vertex_main(mat4 proj, mat4 view, mat4 model) {
+      vec4 worldPos = model * vec4(POSITION, 1.0);
+      vShadowCoord = SHADOW_MATRIX * worldPos;
+      vEdge = TEXCOORD_0;
+      return proj * view * worldPos;
+    }`;
+  }
+
+  get fragmentSource() {
+    return `
+    uniform mediump sampler2DShadow SHADOW_MAP;
+    uniform float shadowOpacity;
+
+    in vec4 vShadowCoord;
+    in vec2 vEdge;
+
+    const float SHADOW_BIAS = 0.002;
+
+    vec4 fragment_main() {
+      vec3 coord = vShadowCoord.xyz / vShadowCoord.w;
+      if (any(lessThan(coord, vec3(0.0))) || any(greaterThan(coord, vec3(1.0)))) {
+        return vec4(0.0);
+      }
+
+      // 3x3 PCF on top of the hardware filtered comparison.
+      vec2 texelSize = 1.0 / vec2(textureSize(SHADOW_MAP, 0));
+      float lit = 0.0;
+      for (int x = -1; x <= 1; ++x) {
+        for (int y = -1; y <= 1; ++y) {
+          vec2 offset = vec2(float(x), float(y)) * texelSize;
+          lit += texture(SHADOW_MAP, vec3(coord.xy + offset, coord.z - SHADOW_BIAS));
+        }
+      }
+      lit /= 9.0;
+
+      // Fade out towards the edge of the catcher so it never shows a border.
+      float fade = 1.0 - smoothstep(0.7, 1.0, length(vEdge));
+
+      return vec4(0.0, 0.0, 0.0, (1.0 - lit) * shadowOpacity * fade);
+    }`;
+  }
+}
+
+export class ShadowCatcherNode extends Node {
+  constructor(options = {}) {
+    super();
+
+    // Half the width of the catcher, in the node's local units.
+    this.radius = options.radius || 0.5;
+    this._opacity = options.opacity !== undefined ? options.opacity : 0.6;
+    this._catcherRenderPrimitive = null;
+  }
+
+  get opacity() {
+    return this._opacity;
+  }
+
+  set opacity(value) {
+    this._opacity = value;
+    if (this._catcherRenderPrimitive) {
+      this._catcherRenderPrimitive.uniforms.shadowOpacity.value = value;
+    }
+  }
+
+  onRendererChanged(renderer) {
+    let stream = new PrimitiveStream();
+
+    stream.startGeometry();
+
+    let r = this.radius;
+    stream.pushVertex(-r, SHADOW_GROUND_OFFSET, -r, -1.0, -1.0, 0, 1, 0);
+    stream.pushVertex(r, SHADOW_GROUND_OFFSET, -r, 1.0, -1.0, 0, 1, 0);
+    stream.pushVertex(r, SHADOW_GROUND_OFFSET, r, 1.0, 1.0, 0, 1, 0);
+    stream.pushVertex(-r, SHADOW_GROUND_OFFSET, r, -1.0, 1.0, 0, 1, 0);
+
+    stream.pushTriangle(0, 2, 1);
+    stream.pushTriangle(0, 3, 2);
+
+    stream.endGeometry();
+
+    let catcherPrimitive = stream.finishPrimitive(renderer);
+    this._catcherRenderPrimitive = renderer.createRenderPrimitive(
+        catcherPrimitive, new ShadowCatcherMaterial(this._opacity));
+    this.addRenderPrimitive(this._catcherRenderPrimitive);
+  }
+
+  markActive(frameId) {
+    super.markActive(frameId);
+
+    if (this._renderer) {
+      this._renderer._addShadowCatcher(this);
+    }
+  }
+}
@@ -0,0 +1,98 @@
+/*
+Remembers placements made on persistent anchors across page loads, using
+localStorage. Each placement records the persistent anchor handle returned by
+XRAnchor.requestPersistentHandle() together with what was placed on it, so the
+scene can be rebuilt once a later session restores the anchor.
+
+Example:
+let store = new AnchorStore('realidar-anchors');
+store.add({handle: uuid, model: 'media/gltf/model.glb', variant: 'Rojo', scale: 1, rotation: 0,
+           surface: 'floor'});
+for (let placement of store.placements) {
+  session.restorePersistentAnchor(placement.handle).then(...);
+}
+store.remove(uuid);
+*/
+
+export class AnchorStore {
+  constructor(storageKey = 'persistent-anchors') {
+    this._storageKey = storageKey;
+    this._placements = this._load();
+  }
+
+  // Stored placements, oldest first.
+  get placements() {
+    return this._placements.map((placement) => Object.assign({}, placement));
+  }
+
+  get(handle) {
+    let placement = this._placements.find((placement) => placement.handle == handle);
+    return placement ? Object.assign({}, placement) : null;
+  }
+
+  add(placement) {
+    if (!placement || typeof placement.handle != 'string') {
+      throw new Error('Anchor placements require a persistent anchor handle');
+    }
+
+    this._placements = this._placements.filter((other) => other.handle != placement.handle);
+    this._placements.push({
+      handle: placement.handle,
+      model: placement.model || null,
+      variant: placement.variant || null,
+      scale: placement.scale || 1,
+      // Rotation around the surface normal, in radians.
+      rotation: placement.rotation || 0,
+      surface: placement.surface || 'floor',
+    });
+    this._save();
+  }
+
+  // Updates the stored fields of an existing placement, such as its variant
+  // or the scale and rotation set with gestures.
+  update(handle, changes) {
+    let placement = this._placements.find((placement) => placement.handle == handle);
+    if (!placement) {
+      return;
+    }
+
+    for (let key of ['model', 'variant', 'scale', 'rotation', 'surface']) {
+      if (key in changes) {
+        placement[key] = changes[key];
+      }
+    }
+    this._save();
+  }
+
+  remove(handle) {
+    this._placements = this._placements.filter((placement) => placement.handle != handle);
+    this._save();
+  }
+
+  clear() {
+    this._placements = [];
+    this._save();
+  }
+
+  _load() {
+    try {
+      let placements = JSON.parse(window.localStorage.getItem(this._storageKey));
+      if (Array.isArray(placements)) {
+        return placements.filter((placement) => placement && typeof placement.handle == 'string');
+      }
+    } catch (e) {
+      console.warn('Discarding unreadable persistent anchor placements', e);
+    }
+    return [];
+  }
+
+  _save() {
+    try {
+      window.localStorage.setItem(this._storageKey, JSON.stringify(this._placements));
+    } catch (e) {
+      // Storage may be full or disabled (private browsing), in which case
+      // placements simply won't survive a reload.
+      console.warn('Unable to save persistent anchor placements', e);
+    }
+  }
+}
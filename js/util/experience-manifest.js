@@ -0,0 +1,306 @@
+/*
+Loads and validates the JSON manifest describing an AR experience: the models
+that can be placed, their default scale, how they're placed, branding assets,
+UI texts, enabled features, the QR code handoff and call-to-action links.
+Manifests live in experiences/<name>.json, so each campaign only needs a new
+manifest.
+
+Validation follows MANIFEST_SCHEMA, a small subset of JSON Schema. Every
+problem found is reported with the path of the offending value, and optional
+values that are missing are filled in with their defaults.
+
+Example:
+let name = QueryArgs.getString('exp', 'realidar');
+loadExperienceManifest(name).then((manifest) => {
+  let model = manifest.models[0];
+  ...
+}).catch((err) => {
+  // err.errors lists every validation problem, if that's what failed.
+});
+*/
+
+const EXPERIENCES_PATH = 'experiences/';
+
+// Manifest names end up in a URL, so they're limited to a safe set of
+// characters.
+const NAME_PATTERN = /^[a-z0-9_-]+$/i;
+
+export const MANIFEST_SCHEMA = {
+  type: 'object',
+  required: ['models'],
+  properties: {
+    name: {type: 'string'},
+    models: {
+      type: 'array',
+      minItems: 1,
+      items: {
+        type: 'object',
+        required: ['url'],
+        properties: {
+          name: {type: 'string'},
+          url: {type: 'string', minLength: 1},
+          // Overrides defaultScale for this model.
+          scale: {type: 'number', exclusiveMinimum: 0},
+        },
+      },
+    },
+    defaultScale: {type: 'number', exclusiveMinimum: 0, default: 1},
+    placement: {
+      type: 'object',
+      default: {},
+      properties: {
+        mode: {enum: ['floor', 'wall', 'ceiling', 'any'], default: 'floor'},
+        input: {enum: ['tap', 'reticle'], default: 'tap'},
+        maxObjects: {type: 'integer', minimum: 1, default: 5},
+        footprintRadius: {type: 'number', minimum: 0, default: 0.2},
+        minScale: {type: 'number', exclusiveMinimum: 0, default: 0.3},
+        maxScale: {type: 'number', exclusiveMinimum: 0, default: 3.0},
+      },
+    },
+    branding: {
+      type: 'object',
+      default: {},
+      properties: {
+        title: {type: 'string'},
+        welcomeImage: {type: 'string'},
+        desktopImage: {type: 'string'},
+        accentColor: {type: 'string', pattern: '^#[0-9a-fA-F]{6}$'},
+        // Drawn in a corner of the AR photos.
+        watermark: {
+          type: 'object',
+          properties: {
+            image: {type: 'string'},
+            text: {type: 'string'},
+            position: {
+              enum: ['top-left', 'top-right', 'bottom-left', 'bottom-right'],
+              default: 'bottom-right',
+            },
+            opacity: {type: 'number', minimum: 0, maximum: 1, default: 0.8},
+            size: {type: 'number', exclusiveMinimum: 0, maximum: 1, default: 0.25},
+          },
+        },
+      },
+    },
+    // UI texts by key. Keys that aren't given keep the app's own texts.
+    texts: {
+      type: 'object',
+      default: {},
+      additionalProperties: {type: 'string'},
+    },
+    features: {
+      type: 'object',
+      default: {},
+      properties: {
+        planes: {type: 'boolean', default: true},
+        occluders: {type: 'boolean', default: true},
+        depthSensing: {type: 'boolean', default: true},
+        lightEstimation: {type: 'boolean', default: true},
+        persistentAnchors: {type: 'boolean', default: true},
+        coaching: {type: 'boolean', default: true},
+        photoCapture: {type: 'boolean', default: true},
+      },
+    },
+    // Handing the experience over from a desktop to a phone with a QR code.
+    // The campaign, when given, is added to the QR code's link for
+    // attribution, and only counts for |campaignTtl| minutes.
+    handoff: {
+      type: 'object',
+      default: {},
+      properties: {
+        campaign: {type: 'string', pattern: '^[a-zA-Z0-9_-]+$'},
+        campaignTtl: {type: 'integer', minimum: 1, default: 30},
+      },
+    },
+    callToAction: {
+      type: 'array',
+      default: [],
+      items: {
+        type: 'object',
+        required: ['label', 'url'],
+        properties: {
+          label: {type: 'string', minLength: 1},
+          url: {type: 'string', pattern: '^https?://'},
+        },
+      },
+    },
+  },
+};
+
+export class ManifestError extends Error {
+  constructor(message, errors = []) {
+    super(errors.length ? `${message}:\n${errors.join('\n')}` : message);
+    this.name = 'ManifestError';
+    this.errors = errors;
+  }
+}
+
+function typeOf(value) {
+  if (value === null) {
+    return 'null';
+  }
+  if (Array.isArray(value)) {
+    return 'array';
+  }
+  return typeof value;
+}
+
+function describe(value) {
+  if (value === undefined || value === null) {
+    return String(value);
+  }
+  return `${typeOf(value)} ${JSON.stringify(value)}`;
+}
+
+function matchesType(value, type) {
+  if (type == 'integer') {
+    return Number.isInteger(value);
+  }
+  if (type == 'number') {
+    return typeof value == 'number' && isFinite(value);
+  }
+  return typeOf(value) == type;
+}
+
+// Checks |value| against |schema|, pushing a message for each problem into
+// |errors|. Returns a copy of the value with defaults filled in.
+function validateValue(value, schema, path, errors) {
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path}: expected one of ${schema.enum.map((v) => JSON.stringify(v)).join(', ')}, got ${describe(value)}`);
+    return value;
+  }
+
+  if (schema.type && !matchesType(value, schema.type)) {
+    let article = /^[aeiou]/.test(schema.type) ? 'an' : 'a';
+    errors.push(`${path}: expected ${article} ${schema.type}, got ${describe(value)}`);
+    return value;
+  }
+
+  switch (schema.type) {
+    case 'string':
+      if (schema.minLength && value.length < schema.minLength) {
+        errors.push(`${path}: must not be empty`);
+      }
+      if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+        errors.push(`${path}: ${JSON.stringify(value)} doesn't match ${schema.pattern}`);
+      }
+      return value;
+
+    case 'number':
+    case 'integer':
+      if ('minimum' in schema && value < schema.minimum) {
+        errors.push(`${path}: must be at least ${schema.minimum}, got ${value}`);
+      }
+      if ('exclusiveMinimum' in schema && value <= schema.exclusiveMinimum) {
+        errors.push(`${path}: must be greater than ${schema.exclusiveMinimum}, got ${value}`);
+      }
+      if ('maximum' in schema && value > schema.maximum) {
+        errors.push(`${path}: must be at most ${schema.maximum}, got ${value}`);
+      }
+      return value;
+
+    case 'array':
+      if (schema.minItems && value.length < schema.minItems) {
+        errors.push(`${path}: needs at least ${schema.minItems} item${schema.minItems > 1 ? 's' : ''}`);
+      }
+      return value.map((item, i) => validateValue(item, schema.items, `${path}[${i}]`, errors));
+
+    case 'object':
+      return validateObject(value, schema, path, errors);
+
+    default:
+      return value;
+  }
+}
+
+function validateObject(value, schema, path, errors) {
+  let result = {};
+  let properties = schema.properties || {};
+  let prefix = path ? `${path}.` : '';
+
+  for (let key of schema.required || []) {
+    if (!(key in value)) {
+      errors.push(`${prefix}${key}: is required`);
+    }
+  }
+
+  for (let key in value) {
+    let propertySchema = properties[key] || schema.additionalProperties;
+    if (!propertySchema) {
+      // Most likely a typo, which would otherwise be silently ignored.
+      errors.push(`${prefix}${key}: unknown property`);
+      continue;
+    }
+    result[key] = validateValue(value[key], propertySchema, `${prefix}${key}`, errors);
+  }
+
+  for (let key in properties) {
+    if (!(key in result) && 'default' in properties[key]) {
+      result[key] = validateValue(properties[key].default, properties[key], `${prefix}${key}`, errors);
+    }
+  }
+
+  return result;
+}
+
+// Returns |manifest| with its defaults filled in, or throws a ManifestError
+// listing every problem found.
+export function validateExperienceManifest(manifest) {
+  let errors = [];
+  let result = validateValue(manifest, MANIFEST_SCHEMA, '', errors);
+
+  if (errors.length) {
+    throw new ManifestError('Invalid experience manifest', errors.map((error) => error.replace(/^: /, 'manifest: ')));
+  }
+
+  // Pinching clamps the scale to the placement limits, so a model placed
+  // outside of them would jump on the first pinch.
+  let {minScale, maxScale} = result.placement;
+  if (minScale > maxScale) {
+    errors.push('placement.minScale: must not be greater than placement.maxScale');
+  }
+  let checkScale = (scale, path) => {
+    if (scale < minScale || scale > maxScale) {
+      errors.push(`${path}: ${scale} is outside of the placement scale limits (${minScale} to ${maxScale})`);
+    }
+  };
+  checkScale(result.defaultScale, 'defaultScale');
+  result.models.forEach((model, i) => {
+    if ('scale' in model) {
+      checkScale(model.scale, `models[${i}].scale`);
+    } else {
+      model.scale = result.defaultScale;
+    }
+  });
+
+  if (errors.length) {
+    throw new ManifestError('Invalid experience manifest', errors);
+  }
+
+  return result;
+}
+
+// Fetches and validates experiences/<name>.json.
+export function loadExperienceManifest(name) {
+  if (!NAME_PATTERN.test(name)) {
+    return Promise.reject(new ManifestError(`Invalid experience name ${JSON.stringify(name)}, only letters, digits, '-' and '_' are allowed`));
+  }
+
+  let url = `${EXPERIENCES_PATH}${name}.json`;
+  return fetch(url).then((response) => {
+    if (!response.ok) {
+      throw new ManifestError(`Unable to load experience "${name}" from ${url} (HTTP ${response.status})`);
+    }
+    return response.json().catch((err) => {
+      throw new ManifestError(`Experience "${name}" is not valid JSON: ${err.message}`);
+    });
+  }).then((manifest) => {
+    try {
+      return validateExperienceManifest(manifest);
+    } catch (err) {
+      if (err instanceof ManifestError) {
+        throw new ManifestError(`Invalid experience manifest "${name}"`, err.errors);
+      }
+      throw err;
+    }
+  });
+}
@@ -22,14 +22,36 @@
 Provides a simple method for tracking which XRReferenceSpace is associated with
 which XRSession. Also handles the necessary logic for enabling mouse/touch-based
 view rotation for inline sessions if desired.
+
+Given |orbit| options the viewer orbits around a target point instead, like a
+model viewer: dragging orbits, the mouse wheel or a pinch zooms, and dragging
+with the right mouse button, with shift held or with two fingers pans. Drags
+keep going for a moment after they're released when |orbit.inertia| is set, as
+long as update() is called every frame.
 */
 
-import {quat} from '../render/math/gl-matrix.js';
+import {quat, vec3} from '../render/math/gl-matrix.js';
 
 const LOOK_SPEED = 0.0025;
+const ORBIT_SPEED = 0.005;
+// Fraction of the orbit distance moved per pixel when panning.
+const PAN_SPEED = 0.0015;
+const ZOOM_SPEED = 0.001;
+// Time, in milliseconds, for the inertia to slow down to about a third.
+const INERTIA_DECAY = 250;
+// Drags that stopped for longer than this before release get no inertia.
+const INERTIA_RELEASE_TIME = 60;
+
+const DEFAULT_ORBIT = {
+  target: [0, 0, 0],
+  distance: 2,
+  minDistance: 0.1,
+  maxDistance: 20,
+  inertia: true,
+};
 
 export class InlineViewerHelper {
-  constructor(canvas, referenceSpace) {
+  constructor(canvas, referenceSpace, orbit = null) {
     this.lookYaw = 0;
     this.lookPitch = 0;
     this.viewerHeight = 0;
@@ -40,10 +62,36 @@ export class InlineViewerHelper {
 
     this.dirty = false;
 
+    this.orbit = !!orbit;
+    if (orbit) {
+      orbit = Object.assign({}, DEFAULT_ORBIT, orbit);
+      this.target = vec3.clone(orbit.target);
+      this.distance = orbit.distance;
+      this.minDistance = orbit.minDistance;
+      this.maxDistance = orbit.maxDistance;
+      this.inertia = orbit.inertia;
+      this._initialOrbit = orbit;
+
+      // Drag velocities in pixels per millisecond, for the inertia.
+      this._rotateVelocity = [0, 0];
+      this._panVelocity = [0, 0];
+      this._lastMoveTime = 0;
+      this._dragging = false;
+      this._lastUpdateTime = null;
+    }
+
     if (canvas.style) {
       canvas.style.cursor = 'grab';
     }
 
+    if (this.orbit) {
+      this._addOrbitListeners(canvas);
+    } else {
+      this._addLookListeners(canvas);
+    }
+  }
+
+  _addLookListeners(canvas) {
     canvas.addEventListener('mousemove', (event) => {
       // Only rotate when the left button is pressed
       if (event.buttons & 1) {
@@ -94,6 +142,112 @@ export class InlineViewerHelper {
     });
   }
 
+  _addOrbitListeners(canvas) {
+    if (canvas.style) {
+      // The page mustn't scroll or zoom while the model is being moved.
+      canvas.style.touchAction = 'none';
+    }
+
+    canvas.addEventListener('mousedown', (event) => {
+      this._startDrag();
+      if (canvas.style) {
+        canvas.style.cursor = 'grabbing';
+      }
+    });
+
+    canvas.addEventListener('mousemove', (event) => {
+      if (event.buttons & 2 || (event.buttons & 1 && event.shiftKey)) {
+        this._drag(this._panVelocity, event.movementX, event.movementY, event.timeStamp);
+        this.pan(event.movementX, event.movementY);
+      } else if (event.buttons & 1) {
+        this._drag(this._rotateVelocity, event.movementX, event.movementY, event.timeStamp);
+        this.rotateView(event.movementX, event.movementY);
+      }
+    });
+
+    // Listening on the window catches buttons released outside the canvas.
+    window.addEventListener('mouseup', (event) => {
+      if (this._dragging) {
+        this._endDrag(event.timeStamp);
+        if (canvas.style) {
+          canvas.style.cursor = 'grab';
+        }
+      }
+    });
+
+    // The right button pans instead of opening the menu.
+    canvas.addEventListener('contextmenu', (event) => {
+      event.preventDefault();
+    });
+
+    canvas.addEventListener('wheel', (event) => {
+      event.preventDefault();
+      // Lines and pages are roughly converted to pixels.
+      let scale = event.deltaMode == 1 ? 16 : (event.deltaMode == 2 ? 400 : 1);
+      this.zoom(Math.exp(event.deltaY * scale * ZOOM_SPEED));
+    }, {passive: false});
+
+    // One finger orbits, two fingers pinch to zoom and pan.
+    let touches = new Map();
+
+    let centerAndSpread = () => {
+      let points = Array.from(touches.values());
+      let x = (points[0].x + points[1].x) * 0.5;
+      let y = (points[0].y + points[1].y) * 0.5;
+      let spread = Math.hypot(points[0].x - points[1].x, points[0].y - points[1].y);
+      return {x, y, spread};
+    };
+
+    let onTouchChange = (event) => {
+      event.preventDefault();
+      for (let touch of event.changedTouches) {
+        if (event.type == 'touchstart') {
+          touches.set(touch.identifier, {x: touch.pageX, y: touch.pageY});
+        } else {
+          touches.delete(touch.identifier);
+        }
+      }
+
+      if (touches.size) {
+        // The gesture changed, so the velocities so far no longer apply.
+        this._startDrag();
+      } else {
+        this._endDrag(event.timeStamp);
+      }
+    };
+
+    canvas.addEventListener('touchstart', onTouchChange, {passive: false});
+    canvas.addEventListener('touchend', onTouchChange, {passive: false});
+    canvas.addEventListener('touchcancel', onTouchChange, {passive: false});
+
+    canvas.addEventListener('touchmove', (event) => {
+      event.preventDefault();
+      let prev = touches.size == 2 ? centerAndSpread() : null;
+
+      let moved = null;
+      for (let touch of event.changedTouches) {
+        let point = touches.get(touch.identifier);
+        if (point) {
+          moved = {dx: touch.pageX - point.x, dy: touch.pageY - point.y};
+          point.x = touch.pageX;
+          point.y = touch.pageY;
+        }
+      }
+
+      if (prev) {
+        let next = centerAndSpread();
+        if (next.spread > 0 && prev.spread > 0) {
+          this.zoom(prev.spread / next.spread);
+        }
+        this._drag(this._panVelocity, next.x - prev.x, next.y - prev.y, event.timeStamp);
+        this.pan(next.x - prev.x, next.y - prev.y);
+      } else if (touches.size == 1 && moved) {
+        this._drag(this._rotateVelocity, moved.dx, moved.dy, event.timeStamp);
+        this.rotateView(moved.dx, moved.dy);
+      }
+    }, {passive: false});
+  }
+
   setHeight(value) {
     if (this.viewerHeight != value) {
       this.viewerHeight = value;
@@ -102,8 +256,9 @@ export class InlineViewerHelper {
   }
 
   rotateView(dx, dy) {
-    this.lookYaw += dx * LOOK_SPEED;
-    this.lookPitch += dy * LOOK_SPEED;
+    let speed = this.orbit ? ORBIT_SPEED : LOOK_SPEED;
+    this.lookYaw += dx * speed;
+    this.lookPitch += dy * speed;
     if (this.lookPitch < -Math.PI*0.5) {
       this.lookPitch = -Math.PI*0.5;
     }
@@ -113,17 +268,107 @@ export class InlineViewerHelper {
     this.dirty = true;
   }
 
+  // Moves the orbit target across the screen by |dx|, |dy| pixels, so the
+  // model follows the pointer.
+  pan(dx, dy) {
+    if (!this.orbit) {
+      return;
+    }
+
+    let orientation = this._orbitOrientation();
+    let right = vec3.transformQuat(vec3.create(), [1, 0, 0], orientation);
+    let up = vec3.transformQuat(vec3.create(), [0, 1, 0], orientation);
+    let speed = this.distance * PAN_SPEED;
+    vec3.scaleAndAdd(this.target, this.target, right, -dx * speed);
+    vec3.scaleAndAdd(this.target, this.target, up, dy * speed);
+    this.dirty = true;
+  }
+
+  // Multiplies the orbit distance by |factor|, within its limits.
+  zoom(factor) {
+    if (!this.orbit) {
+      return;
+    }
+
+    this.distance = Math.min(Math.max(this.distance * factor, this.minDistance), this.maxDistance);
+    this.dirty = true;
+  }
+
+  // Points the orbit at |target| from |distance| meters away, for example once
+  // the model's size is known.
+  setOrbit(target, distance) {
+    vec3.copy(this.target, target);
+    this.distance = Math.min(Math.max(distance, this.minDistance), this.maxDistance);
+    this._initialOrbit = Object.assign({}, this._initialOrbit, {target: vec3.clone(target), distance});
+    this.dirty = true;
+  }
+
+  // Applies the inertia of the last drag. Call it every frame with the frame's
+  // timestamp.
+  update(time) {
+    if (!this.orbit) {
+      return;
+    }
+
+    let dt = this._lastUpdateTime === null ? 0 : Math.min(time - this._lastUpdateTime, 100);
+    this._lastUpdateTime = time;
+    if (this._dragging || !this.inertia || dt <= 0) {
+      return;
+    }
+
+    let [rx, ry] = this._rotateVelocity;
+    let [px, py] = this._panVelocity;
+    if (rx || ry) {
+      this.rotateView(rx * dt, ry * dt);
+    }
+    if (px || py) {
+      this.pan(px * dt, py * dt);
+    }
+
+    let decay = Math.exp(-dt / INERTIA_DECAY);
+    for (let velocity of [this._rotateVelocity, this._panVelocity]) {
+      velocity[0] *= decay;
+      velocity[1] *= decay;
+      if (Math.hypot(velocity[0], velocity[1]) < 0.005) {
+        velocity[0] = velocity[1] = 0;
+      }
+    }
+  }
+
   reset() {
     this.lookYaw = 0;
     this.lookPitch = 0;
     this.refSpace = this.baseRefSpace;
     this.dirty = false;
+
+    if (this.orbit) {
+      vec3.copy(this.target, this._initialOrbit.target);
+      this.distance = this._initialOrbit.distance;
+      this._stopInertia();
+      this.dirty = true;
+    }
+  }
+
+  // Pose of the viewer around the orbit target, as an XRRigidTransform. Plain
+  // canvases without an XRSession can draw with it directly.
+  get orbitTransform() {
+    let orientation = this._orbitOrientation();
+    let position = vec3.transformQuat(vec3.create(), [0, 0, this.distance], orientation);
+    vec3.add(position, position, this.target);
+    return new XRRigidTransform(
+        {x: position[0], y: position[1], z: position[2]},
+        {x: orientation[0], y: orientation[1], z: orientation[2], w: orientation[3]});
   }
 
   // XRReferenceSpace offset is immutable, so return a new reference space
   // that has an updated orientation.
   get referenceSpace() {
-    if (this.dirty) {
+    if (this.dirty && this.orbit) {
+      // The inline session's base space is the viewer, so offsetting it by
+      // the inverse of the orbit pose puts the viewer on the orbit.
+      this.refSpace = this.baseRefSpace.getOffsetReferenceSpace(this.orbitTransform.inverse);
+      this.dirty = false;
+    } else if (this.dirty) {
       // Represent the rotational component of the reference space as a
       // quaternion.
       let invOrient = quat.create();
@@ -139,4 +384,43 @@ export class InlineViewerHelper {
     }
     return this.refSpace;
   }
+
+  // Dragging right or down moves the viewer left or up around the target, so
+  // the model turns with the pointer.
+  _orbitOrientation() {
+    let orientation = quat.create();
+    quat.rotateY(orientation, orientation, -this.lookYaw);
+    quat.rotateX(orientation, orientation, -this.lookPitch);
+    return orientation;
+  }
+
+  _startDrag() {
+    this._dragging = true;
+    this._stopInertia();
+  }
+
+  // Smooths the velocity of the drag so a single jittery event at release
+  // doesn't decide the inertia.
+  _drag(velocity, dx, dy, timeStamp) {
+    let dt = timeStamp - this._lastMoveTime;
+    this._lastMoveTime = timeStamp;
+    if (dt <= 0 || dt > INERTIA_RELEASE_TIME) {
+      velocity[0] = velocity[1] = 0;
+      return;
+    }
+    velocity[0] = velocity[0] * 0.5 + (dx / dt) * 0.5;
+    velocity[1] = velocity[1] * 0.5 + (dy / dt) * 0.5;
+  }
+
+  _endDrag(timeStamp) {
+    this._dragging = false;
+    if (timeStamp - this._lastMoveTime > INERTIA_RELEASE_TIME) {
+      this._stopInertia();
+    }
+  }
+
+  _stopInertia() {
+    this._rotateVelocity[0] = this._rotateVelocity[1] = 0;
+    this._panVelocity[0] = this._panVelocity[1] = 0;
+  }
 }
@@ -0,0 +1,477 @@
+/*
+QR Code encoder (ISO/IEC 18004), entirely client side so pages can hand a URL
+over to a phone without a network service. Text is encoded as UTF-8 in byte
+mode, in the smallest version (1 to 40) that fits, with the mask that scores
+best on the standard's penalty rules.
+
+Example:
+let qr = new QRCode(location.href, 'M');
+qr.drawToCanvas(canvas, {moduleSize: 4});
+*/
+
+// Error correction levels, as [format bits, index into the tables below].
+const ERROR_CORRECTION = {
+  L: [1, 0],
+  M: [0, 1],
+  Q: [3, 2],
+  H: [2, 3],
+};
+
+// Error correction codewords per block, by level and version.
+const ECC_CODEWORDS_PER_BLOCK = [
+  [-1, 7, 10, 15, 20, 26, 18, 20, 24, 30, 18, 20, 24, 26, 30, 22, 24, 28, 30, 28, 28, 28, 28, 30, 30, 26, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+  [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28],
+  [-1, 13, 22, 18, 26, 18, 24, 18, 22, 20, 24, 28, 26, 24, 20, 30, 24, 28, 28, 26, 30, 28, 30, 30, 30, 30, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+  [-1, 17, 28, 22, 16, 22, 28, 26, 26, 24, 28, 24, 28, 22, 24, 24, 30, 28, 28, 26, 28, 30, 24, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+];
+
+// Error correction blocks, by level and version.
+const ECC_BLOCKS = [
+  [-1, 1, 1, 1, 1, 1, 2, 2, 2, 2, 4, 4, 4, 4, 4, 6, 6, 6, 6, 7, 8, 8, 9, 9, 10, 12, 12, 12, 13, 14, 15, 16, 17, 18, 19, 19, 20, 21, 22, 24, 25],
+  [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49],
+  [-1, 1, 1, 2, 2, 4, 4, 6, 6, 8, 8, 8, 10, 12, 16, 12, 17, 16, 18, 21, 20, 23, 23, 25, 27, 29, 34, 34, 35, 38, 40, 43, 45, 48, 51, 53, 56, 59, 62, 65, 68],
+  [-1, 1, 1, 2, 4, 4, 4, 5, 6, 8, 8, 11, 11, 16, 16, 18, 16, 19, 21, 25, 25, 25, 34, 30, 32, 35, 37, 40, 42, 45, 48, 51, 54, 57, 60, 63, 66, 70, 74, 77, 81],
+];
+
+const MODE_BYTE = 0x4;
+
+const PENALTY_N1 = 3;
+const PENALTY_N2 = 3;
+const PENALTY_N3 = 40;
+const PENALTY_N4 = 10;
+
+// Modules of the symbol that hold data, after the function patterns.
+function rawDataModules(version) {
+  let result = (16 * version + 128) * version + 64;
+  if (version >= 2) {
+    let alignCount = Math.floor(version / 7) + 2;
+    result -= (25 * alignCount - 10) * alignCount - 55;
+    if (version >= 7) {
+      result -= 36;
+    }
+  }
+  return result;
+}
+
+function dataCodewords(version, eccIndex) {
+  return Math.floor(rawDataModules(version) / 8) -
+      ECC_CODEWORDS_PER_BLOCK[eccIndex][version] * ECC_BLOCKS[eccIndex][version];
+}
+
+function alignmentPatternPositions(version) {
+  if (version == 1) {
+    return [];
+  }
+  let count = Math.floor(version / 7) + 2;
+  let step = version == 32 ? 26 : Math.ceil((version * 4 + 4) / (count * 2 - 2)) * 2;
+  let result = [6];
+  for (let pos = version * 4 + 10; result.length < count; pos -= step) {
+    result.splice(1, 0, pos);
+  }
+  return result;
+}
+
+// Multiplication in GF(2^8) modulo x^8 + x^4 + x^3 + x^2 + 1.
+function gfMultiply(x, y) {
+  let z = 0;
+  for (let i = 7; i >= 0; i--) {
+    z = (z << 1) ^ ((z >>> 7) * 0x11D);
+    z ^= ((y >>> i) & 1) * x;
+  }
+  return z;
+}
+
+function reedSolomonDivisor(degree) {
+  let result = new Uint8Array(degree);
+  result[degree - 1] = 1;
+  let root = 1;
+  for (let i = 0; i < degree; i++) {
+    for (let j = 0; j < degree; j++) {
+      result[j] = gfMultiply(result[j], root);
+      if (j + 1 < degree) {
+        result[j] ^= result[j + 1];
+      }
+    }
+    root = gfMultiply(root, 0x02);
+  }
+  return result;
+}
+
+function reedSolomonRemainder(data, divisor) {
+  let result = new Uint8Array(divisor.length);
+  for (let b of data) {
+    let factor = b ^ result[0];
+    result.copyWithin(0, 1);
+    result[result.length - 1] = 0;
+    for (let i = 0; i < divisor.length; i++) {
+      result[i] ^= gfMultiply(divisor[i], factor);
+    }
+  }
+  return result;
+}
+
+// Remainder of the BCH code used for the format and version information.
+function bchRemainder(value, bits, generator, generatorBits) {
+  let rem = value << (generatorBits - 1);
+  for (let i = bits + generatorBits - 2; i >= generatorBits - 1; i--) {
+    if ((rem >>> i) & 1) {
+      rem ^= generator << (i - generatorBits + 1);
+    }
+  }
+  return rem;
+}
+
+function maskBit(mask, x, y) {
+  switch (mask) {
+    case 0: return (x + y) % 2 == 0;
+    case 1: return y % 2 == 0;
+    case 2: return x % 3 == 0;
+    case 3: return (x + y) % 3 == 0;
+    case 4: return (Math.floor(x / 3) + Math.floor(y / 2)) % 2 == 0;
+    case 5: return x * y % 2 + x * y % 3 == 0;
+    case 6: return (x * y % 2 + x * y % 3) % 2 == 0;
+    case 7: return ((x + y) % 2 + x * y % 3) % 2 == 0;
+  }
+}
+
+export class QRCode {
+  constructor(text, errorCorrection = 'M') {
+    let ecc = ERROR_CORRECTION[errorCorrection];
+    if (!ecc) {
+      throw new Error(`Unknown QR error correction level "${errorCorrection}"`);
+    }
+    this.errorCorrection = errorCorrection;
+
+    let bytes = new TextEncoder().encode(text);
+    let eccIndex = ecc[1];
+
+    // Byte mode needs a 4 bit mode, an 8 or 16 bit length and the data.
+    let version = 1;
+    for (; version <= 40; version++) {
+      let countBits = version < 10 ? 8 : 16;
+      if (4 + countBits + bytes.length * 8 <= dataCodewords(version, eccIndex) * 8) {
+        break;
+      }
+    }
+    if (version > 40) {
+      throw new Error(`Text is too long for a QR code (${bytes.length} bytes)`);
+    }
+
+    this.version = version;
+    this.size = version * 4 + 17;
+    this._modules = new Uint8Array(this.size * this.size);
+    // Modules that belong to function patterns, which aren't masked.
+    this._isFunction = new Uint8Array(this.size * this.size);
+
+    let codewords = this._addErrorCorrection(this._encodeData(bytes, eccIndex), eccIndex);
+    this._drawFunctionPatterns();
+    this._drawCodewords(codewords);
+
+    // Picks the mask with the lowest penalty.
+    let bestMask = 0;
+    let bestPenalty = Infinity;
+    for (let mask = 0; mask < 8; mask++) {
+      this._applyMask(mask);
+      this._drawFormatBits(ecc[0], mask);
+      let penalty = this._penaltyScore();
+      if (penalty < bestPenalty) {
+        bestMask = mask;
+        bestPenalty = penalty;
+      }
+      // Masking twice undoes it.
+      this._applyMask(mask);
+    }
+    this.mask = bestMask;
+    this._applyMask(bestMask);
+    this._drawFormatBits(ecc[0], bestMask);
+
+    this._isFunction = null;
+  }
+
+  isDark(x, y) {
+    return x >= 0 && x < this.size && y >= 0 && y < this.size &&
+        this._modules[y * this.size + x] == 1;
+  }
+
+  // Draws the symbol with a quiet zone of |margin| modules around it,
+  // resizing |canvas| to fit.
+  drawToCanvas(canvas, options = {}) {
+    let moduleSize = options.moduleSize || 4;
+    let margin = 'margin' in options ? options.margin : 4;
+    let pixels = (this.size + margin * 2) * moduleSize;
+    canvas.width = pixels;
+    canvas.height = pixels;
+
+    let ctx = canvas.getContext('2d');
+    ctx.fillStyle = options.light || '#fff';
+    ctx.fillRect(0, 0, pixels, pixels);
+    ctx.fillStyle = options.dark || '#000';
+    for (let y = 0; y < this.size; y++) {
+      for (let x = 0; x < this.size; x++) {
+        if (this.isDark(x, y)) {
+          ctx.fillRect((x + margin) * moduleSize, (y + margin) * moduleSize, moduleSize, moduleSize);
+        }
+      }
+    }
+  }
+
+  _encodeData(bytes, eccIndex) {
+    let capacity = dataCodewords(this.version, eccIndex) * 8;
+    let bits = [];
+    let append = (value, length) => {
+      for (let i = length - 1; i >= 0; i--) {
+        bits.push((value >>> i) & 1);
+      }
+    };
+
+    append(MODE_BYTE, 4);
+    append(bytes.length, this.version < 10 ? 8 : 16);
+    for (let b of bytes) {
+      append(b, 8);
+    }
+
+    // Terminator, padding to a whole byte and then the alternating pad bytes.
+    append(0, Math.min(4, capacity - bits.length));
+    append(0, (8 - bits.length % 8) % 8);
+    for (let pad = 0xEC; bits.length < capacity; pad ^= 0xEC ^ 0x11) {
+      append(pad, 8);
+    }
+
+    let data = new Uint8Array(bits.length / 8);
+    for (let i = 0; i < bits.length; i++) {
+      data[i >>> 3] |= bits[i] << (7 - (i & 7));
+    }
+    return data;
+  }
+
+  // Splits |data| into blocks, adds each block's error correction and
+  // interleaves the result.
+  _addErrorCorrection(data, eccIndex) {
+    let blockCount = ECC_BLOCKS[eccIndex][this.version];
+    let eccLength = ECC_CODEWORDS_PER_BLOCK[eccIndex][this.version];
+    let rawCodewords = Math.floor(rawDataModules(this.version) / 8);
+    let shortBlockCount = blockCount - rawCodewords % blockCount;
+    let shortBlockLength = Math.floor(rawCodewords / blockCount);
+
+    let divisor = reedSolomonDivisor(eccLength);
+    let blocks = [];
+    for (let i = 0, k = 0; i < blockCount; i++) {
+      let dataLength = shortBlockLength - eccLength + (i < shortBlockCount ? 0 : 1);
+      let blockData = data.subarray(k, k + dataLength);
+      k += dataLength;
+      blocks.push({data: blockData, ecc: reedSolomonRemainder(blockData, divisor)});
+    }
+
+    let result = [];
+    let longestData = shortBlockLength - eccLength + 1;
+    for (let i = 0; i < longestData; i++) {
+      for (let block of blocks) {
+        if (i < block.data.length) {
+          result.push(block.data[i]);
+        }
+      }
+    }
+    for (let i = 0; i < eccLength; i++) {
+      for (let block of blocks) {
+        result.push(block.ecc[i]);
+      }
+    }
+    return result;
+  }
+
+  _setFunctionModule(x, y, dark) {
+    this._modules[y * this.size + x] = dark ? 1 : 0;
+    this._isFunction[y * this.size + x] = 1;
+  }
+
+  _drawFunctionPatterns() {
+    let size = this.size;
+
+    // Timing patterns.
+    for (let i = 0; i < size; i++) {
+      this._setFunctionModule(6, i, i % 2 == 0);
+      this._setFunctionModule(i, 6, i % 2 == 0);
+    }
+
+    // Finder patterns, with their separators.
+    for (let [cx, cy] of [[3, 3], [size - 4, 3], [3, size - 4]]) {
+      for (let dy = -4; dy <= 4; dy++) {
+        for (let dx = -4; dx <= 4; dx++) {
+          let x = cx + dx;
+          let y = cy + dy;
+          if (x >= 0 && x < size && y >= 0 && y < size) {
+            let distance = Math.max(Math.abs(dx), Math.abs(dy));
+            this._setFunctionModule(x, y, distance != 2 && distance != 4);
+          }
+        }
+      }
+    }
+
+    // Alignment patterns, except where they'd overlap the finder patterns.
+    let positions = alignmentPatternPositions(this.version);
+    let last = positions.length - 1;
+    positions.forEach((cy, i) => {
+      positions.forEach((cx, j) => {
+        if ((i == 0 && j == 0) || (i == 0 && j == last) || (i == last && j == 0)) {
+          return;
+        }
+        for (let dy = -2; dy <= 2; dy++) {
+          for (let dx = -2; dx <= 2; dx++) {
+            this._setFunctionModule(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) != 1);
+          }
+        }
+      });
+    });
+
+    // Reserves the format areas, drawn once the mask is chosen.
+    this._drawFormatBits(0, 0);
+
+    // Version information, from version 7.
+    if (this.version >= 7) {
+      let bits = (this.version << 12) | bchRemainder(this.version, 6, 0x1F25, 13);
+      for (let i = 0; i < 18; i++) {
+        let dark = ((bits >>> i) & 1) == 1;
+        let a = size - 11 + i % 3;
+        let b = Math.floor(i / 3);
+        this._setFunctionModule(a, b, dark);
+        this._setFunctionModule(b, a, dark);
+      }
+    }
+  }
+
+  _drawFormatBits(eccBits, mask) {
+    let size = this.size;
+    let data = (eccBits << 3) | mask;
+    let bits = ((data << 10) | bchRemainder(data, 5, 0x537, 11)) ^ 0x5412;
+    let bit = (i) => ((bits >>> i) & 1) == 1;
+
+    // Around the top left finder pattern.
+    for (let i = 0; i <= 5; i++) {
+      this._setFunctionModule(8, i, bit(i));
+    }
+    this._setFunctionModule(8, 7, bit(6));
+    this._setFunctionModule(8, 8, bit(7));
+    this._setFunctionModule(7, 8, bit(8));
+    for (let i = 9; i < 15; i++) {
+      this._setFunctionModule(14 - i, 8, bit(i));
+    }
+
+    // Split between the other two finder patterns.
+    for (let i = 0; i < 8; i++) {
+      this._setFunctionModule(size - 1 - i, 8, bit(i));
+    }
+    for (let i = 8; i < 15; i++) {
+      this._setFunctionModule(8, size - 15 + i, bit(i));
+    }
+    // Always dark.
+    this._setFunctionModule(8, size - 8, true);
+  }
+
+  // Places the codewords in the zigzag of two module wide columns, from the
+  // bottom right corner.
+  _drawCodewords(codewords) {
+    let size = this.size;
+    let i = 0;
+    for (let right = size - 1; right >= 1; right -= 2) {
+      // The vertical timing pattern is skipped.
+      if (right == 6) {
+        right = 5;
+      }
+      for (let vert = 0; vert < size; vert++) {
+        for (let j = 0; j < 2; j++) {
+          let x = right - j;
+          let upward = ((right + 1) & 2) == 0;
+          let y = upward ? size - 1 - vert : vert;
+          if (!this._isFunction[y * size + x] && i < codewords.length * 8) {
+            this._modules[y * size + x] = (codewords[i >>> 3] >>> (7 - (i & 7))) & 1;
+            i++;
+          }
+        }
+      }
+    }
+  }
+
+  _applyMask(mask) {
+    for (let y = 0; y < this.size; y++) {
+      for (let x = 0; x < this.size; x++) {
+        let index = y * this.size + x;
+        if (!this._isFunction[index] && maskBit(mask, x, y)) {
+          this._modules[index] ^= 1;
+        }
+      }
+    }
+  }
+
+  _penaltyScore() {
+    let size = this.size;
+    let modules = this._modules;
+    let result = 0;
+
+    // Runs of five or more modules of the same color, and finder-like
+    // patterns, in rows and then columns.
+    for (let pass = 0; pass < 2; pass++) {
+      for (let a = 0; a < size; a++) {
+        let line = new Uint8Array(size);
+        for (let b = 0; b < size; b++) {
+          line[b] = pass == 0 ? modules[a * size + b] : modules[b * size + a];
+        }
+
+        let runLength = 1;
+        for (let b = 1; b <= size; b++) {
+          if (b < size && line[b] == line[b - 1]) {
+            runLength++;
+            continue;
+          }
+          if (runLength >= 5) {
+            result += PENALTY_N1 + runLength - 5;
+          }
+          runLength = 1;
+        }
+
+        result += this._finderLikePatterns(line) * PENALTY_N3;
+      }
+    }
+
+    // 2x2 blocks of the same color.
+    for (let y = 0; y < size - 1; y++) {
+      for (let x = 0; x < size - 1; x++) {
+        let color = modules[y * size + x];
+        if (color == modules[y * size + x + 1] &&
+            color == modules[(y + 1) * size + x] &&
+            color == modules[(y + 1) * size + x + 1]) {
+          result += PENALTY_N2;
+        }
+      }
+    }
+
+    // Balance of dark and light modules.
+    let dark = modules.reduce((sum, value) => sum + value, 0);
+    let total = size * size;
+    let k = Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1;
+    result += Math.max(k, 0) * PENALTY_N4;
+
+    return result;
+  }
+
+  // Counts 1:1:3:1:1 dark patterns with four light modules on either side,
+  // treating the outside of the symbol as light.
+  _finderLikePatterns(line) {
+    let size = line.length;
+    let at = (i) => (i < 0 || i >= size) ? 0 : line[i];
+    let pattern = [1, 0, 1, 1, 1, 0, 1];
+    let count = 0;
+
+    for (let start = -4; start + 7 <= size + 4; start++) {
+      let matches = pattern.every((value, i) => at(start + i) == value);
+      if (!matches) {
+        continue;
+      }
+      let lightBefore = [1, 2, 3, 4].every((i) => at(start - i) == 0);
+      let lightAfter = [0, 1, 2, 3].every((i) => at(start + 7 + i) == 0);
+      if (lightBefore || lightAfter) {
+        count++;
+      }
+    }
+    return count;
+  }
+}
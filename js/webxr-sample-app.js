@@ -33,7 +33,12 @@ export class WebXRSampleApp {
       immersiveMode: options.immersiveMode || 'immersive-vr',
       referenceSpace: options.referenceSpace || 'local',
       defaultInputHandling: 'defaultInputHandling' in options ? options.defaultInputHandling : true,
-      useMultiview: options.useMultiview || false
+      useMultiview: options.useMultiview || false,
+      // Features and extra XRSessionInit members (like domOverlay) for the
+      // immersive session. The reference space is always required.
+      requiredFeatures: options.requiredFeatures || [],
+      optionalFeatures: options.optionalFeatures || [],
+      sessionInit: options.sessionInit || {}
     };
 
     this.gl = null;
@@ -50,6 +55,10 @@ export class WebXRSampleApp {
 
     this.frameCallback = (time, frame) => {
       let session = frame.session;
+      if (!session.isImmersive) {
+        // Lets the inline view keep moving after a drag.
+        this.inlineViewerHelper.update(time);
+      }
       let refSpace = this.getSessionReferenceSpace(session);
 
       session.requestAnimationFrame(this.frameCallback);
@@ -71,7 +80,7 @@ export class WebXRSampleApp {
 
   onInitXR() {
     if (navigator.xr) {
-      navigator.xr.isSessionSupported('immersive-vr').then((supported) => {
+      navigator.xr.isSessionSupported(this.options.immersiveMode).then((supported) => {
         this.xrButton.enabled = supported;
       });
 
@@ -117,12 +126,25 @@ export class WebXRSampleApp {
     }
   }
 
+  onGetSessionInit() {
+    let requiredFeatures = this.options.requiredFeatures.slice();
+    if (!requiredFeatures.includes(this.options.referenceSpace)) {
+      requiredFeatures.push(this.options.referenceSpace);
+    }
+
+    return Object.assign({
+      requiredFeatures: requiredFeatures,
+      optionalFeatures: this.options.optionalFeatures
+    }, this.options.sessionInit);
+  }
+
   onRequestSession() {
     // Called when the button gets clicked. Requests an immersive session.
-    return navigator.xr.requestSession(this.options.immersiveMode, {
-        requiredFeatures: [this.options.referenceSpace]
-    }).then((session) => {
-      this.gl.makeXRCompatible().then(() => {
+    return navigator.xr.requestSession(this.options.immersiveMode,
+        this.onGetSessionInit()).then((session) => {
+      // Without an inline session the context hasn't been created yet.
+      this.onInitRenderer();
+      return this.gl.makeXRCompatible().then(() => {
         this.xrButton.setSession(session);
         session.isImmersive = true;
         this.onSessionStarted(session);
@@ -167,7 +189,7 @@ export class WebXRSampleApp {
         session.updateTargetFrameRate(session.supportedFrameRates[session.supportedFrameRates.length-1]);
       }
     } else {
-      this.renderer = new Renderer(gl);
+      this.renderer = this.onCreateRenderer(session);
       this.scene.setRenderer(this.renderer);
       session.updateRenderState({
         baseLayer: this.onCreateXRLayer(session)
@@ -178,17 +200,29 @@ export class WebXRSampleApp {
       if (session.isImmersive) {
         this.immersiveRefSpace = refSpace;
       } else {
-        this.inlineViewerHelper = new InlineViewerHelper(this.gl.canvas, refSpace);
-        if (this.options.referenceSpace == 'local-floor' ||
-            this.options.referenceSpace == 'bounded-floor') {
-          this.inlineViewerHelper.setHeight(1.6);
-        }
+        this.inlineViewerHelper = this.onCreateInlineViewerHelper(refSpace);
       }
 
       session.requestAnimationFrame(this.frameCallback);
     });
   }
 
+  // Override to create the renderer with different options for |session|.
+  onCreateRenderer(session) {
+    return new Renderer(this.gl);
+  }
+
+  // Override to navigate inline sessions differently, for example orbiting
+  // around a model.
+  onCreateInlineViewerHelper(refSpace) {
+    let inlineViewerHelper = new InlineViewerHelper(this.gl.canvas, refSpace);
+    if (this.options.referenceSpace == 'local-floor' ||
+        this.options.referenceSpace == 'bounded-floor') {
+      inlineViewerHelper.setHeight(1.6);
+    }
+    return inlineViewerHelper;
+  }
+
   onRequestReferenceSpace(session) {
     if (this.options.referenceSpace && session.isImmersive) {
       return session.requestReferenceSpace(this.options.referenceSpace);
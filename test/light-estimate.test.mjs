@@ -0,0 +1,86 @@
+// Checks that Renderer.setLightEstimate() turns a mocked XRLightEstimate into
+// the lighting the PBR shader is given. Run with: node --test test/
+
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+
+// The renderer reads its GL enums when it's loaded.
+globalThis.WebGLRenderingContext = {
+  SRC_ALPHA: 0x0302, ONE_MINUS_SRC_ALPHA: 0x0303, SRC_COLOR: 0x0300,
+  NEVER: 0x0200, LESS: 0x0201,
+};
+
+const {Renderer} = await import('../js/render/core/renderer.js');
+
+// Only the lighting state is needed, so no GL context is created.
+function createRenderer() {
+  let renderer = Object.create(Renderer.prototype);
+  renderer._globalLightColor = new Float32Array(3);
+  renderer._globalLightDir = new Float32Array(3);
+  renderer._ambientSH = new Float32Array(27);
+  return renderer;
+}
+
+function assertClose(actual, expected) {
+  assert.equal(actual.length, expected.length);
+  for (let i = 0; i < expected.length; ++i) {
+    assert.ok(Math.abs(actual[i] - expected[i]) < 1e-5,
+        `element ${i} is ${actual[i]}, expected ${expected[i]}`);
+  }
+}
+
+const BAND_FACTORS = [Math.PI, 2.0 * Math.PI / 3.0, Math.PI / 4.0];
+
+const MOCK_ESTIMATE = {
+  primaryLightDirection: {x: 0, y: 1, z: 0, w: 0},
+  primaryLightIntensity: {x: 2, y: 3, z: 4, w: 1},
+  sphericalHarmonicsCoefficients: new Float32Array(27).map((value, i) => i + 1),
+};
+
+test('uses the light of the estimate', () => {
+  let renderer = createRenderer();
+  renderer.setLightEstimate(MOCK_ESTIMATE);
+
+  // The estimate points towards the light, the renderer the way it shines.
+  assertClose(renderer.globalLightDir, [0, -1, 0]);
+  assertClose(renderer.globalLightColor, [2, 3, 4]);
+});
+
+test('rotates the light direction into the reference space', () => {
+  let renderer = createRenderer();
+  // Probe space rotated 90 degrees around Y, with a translation that must not
+  // affect the direction.
+  let probeMatrix = new Float32Array([0, 0, -1, 0, 0, 1, 0, 0, 1, 0, 0, 0, 5, 5, 5, 1]);
+  renderer.setLightEstimate(Object.assign({}, MOCK_ESTIMATE, {
+    primaryLightDirection: {x: 1, y: 0, z: 0, w: 0},
+  }), probeMatrix);
+
+  assertClose(renderer.globalLightDir, [0, 0, 1]);
+});
+
+test('convolves the ambient spherical harmonics into irradiance', () => {
+  let renderer = createRenderer();
+  renderer.setLightEstimate(MOCK_ESTIMATE);
+
+  let expected = [];
+  for (let i = 0; i < 27; ++i) {
+    let coefficient = Math.floor(i / 3);
+    let band = coefficient == 0 ? 0 : (coefficient < 4 ? 1 : 2);
+    expected.push((i + 1) * BAND_FACTORS[band]);
+  }
+  assertClose(renderer.ambientSH, expected);
+});
+
+test('goes back to the default lighting without an estimate', () => {
+  let renderer = createRenderer();
+  renderer.setLightEstimate(null);
+  let defaultDir = renderer.globalLightDir;
+  let defaultColor = renderer.globalLightColor;
+
+  renderer.setLightEstimate(MOCK_ESTIMATE);
+  renderer.setLightEstimate(null);
+
+  assertClose(renderer.globalLightDir, defaultDir);
+  assertClose(renderer.globalLightColor, defaultColor);
+  assertClose(renderer.ambientSH, new Float32Array(27));
+});